@@ -4,14 +4,15 @@
  */
 
 import {
-  setInstance, getInstance, removeInstance
+  setInstance, getInstance, removeInstance,
+  parseDataOptions
 } from '../utils/index.js';
 
 import $J from 'jqnext';
 
 import {
   $1 as $, closest, hasClass, removeClass,
-  remove as removeElement, trigger, on, off, fadeOut
+  addClass, remove as removeElement, trigger, on, off, fadeOut
 } from './helpers.js';
 
 // Constants
@@ -19,6 +20,15 @@ const NAME = 'alert';
 const DATA_KEY = 'bs.alert';
 const EVENT_KEY = `.bs.${NAME}`;
 
+const DEFAULTS = {
+  autohide: false,
+  delay: 5000,
+  progress: false
+};
+
+// Custom property holding the remaining autohide time (1 to 0)
+const PROGRESS_PROPERTY = '--sandal-alert-progress';
+
 const EVENTS = {
   CLOSE: `close${EVENT_KEY}`,
   CLOSED: `closed${EVENT_KEY}`
@@ -27,11 +37,13 @@ const EVENTS = {
 const CLASSES = {
   ALERT: 'alert',
   FADE: 'fade',
-  IN: 'in'
+  IN: 'in',
+  PROGRESS: 'alert-progress'
 };
 
 const SELECTORS = {
-  DISMISS: '[data-dismiss="alert"]'
+  DISMISS: '[data-dismiss="alert"]',
+  AUTOHIDE: '.alert[data-autohide="true"]'
 };
 
 /**
@@ -42,17 +54,36 @@ class Alert {
   /**
    * Create an Alert instance
    * @param {Element} element - The alert element
+   * @param {Object} [options] - Alert options
    */
-  constructor(element) {
+  constructor(element, options = {}) {
     this._element = typeof element === 'string' ? $(element) : element;
     
     if (!this._element) return;
     
+    this._options = {
+      ...DEFAULTS,
+      ...parseDataOptions(this._element, DEFAULTS),
+      ...options
+    };
+    
+    // Autohide countdown state
+    this._timeout = null;
+    this._progressFrame = null;
+    this._remaining = 0;
+    this._countdownStart = 0;
+    this._pauseReasons = new Set();
+    this._visibilityHandler = null;
+    
     // Store instance
     setInstance(this._element, DATA_KEY, this);
     
     // Bind dismiss button handler
     this._bindDismiss();
+    
+    if (this._options.autohide) {
+      this._startCountdown();
+    }
   }
   
   /**
@@ -77,6 +108,11 @@ class Alert {
     
     if (closeEvent.defaultPrevented) return;
     
+    // Closing for good, so the autohide timer can't close it again during the fade
+    if (rootElement === this._element) {
+      this._stopCountdown();
+    }
+    
     this._removeElement(rootElement);
   }
   
@@ -84,6 +120,7 @@ class Alert {
    * Destroy the alert instance
    */
   dispose() {
+    this._stopCountdown();
     this._unbindDismiss();
     removeInstance(this._element, DATA_KEY);
     this._element = null;
@@ -110,6 +147,127 @@ class Alert {
     off(this._element, 'click');
   }
   
+  /**
+   * Start the autohide countdown. It pauses while the alert is hovered or
+   * focused and while the page is hidden, then closes the alert through
+   * close() so close.bs.alert can still cancel it.
+   * @private
+   */
+  _startCountdown() {
+    this._remaining = this._options.delay;
+    
+    if (this._options.progress) {
+      addClass(this._element, CLASSES.PROGRESS);
+      this._element.style.setProperty(PROGRESS_PROPERTY, '1');
+    }
+    
+    on(this._element, `mouseenter${EVENT_KEY}`, () => this._setPaused('hover', true));
+    on(this._element, `mouseleave${EVENT_KEY}`, () => this._setPaused('hover', false));
+    on(this._element, `focusin${EVENT_KEY}`, () => this._setPaused('focus', true));
+    on(this._element, `focusout${EVENT_KEY}`, (e) => {
+      if (!this._element.contains(e.relatedTarget)) {
+        this._setPaused('focus', false);
+      }
+    });
+    
+    this._visibilityHandler = () => this._setPaused('hidden', document.hidden);
+    document.addEventListener('visibilitychange', this._visibilityHandler);
+    
+    this._setPaused('hidden', document.hidden);
+  }
+  
+  /**
+   * Stop the countdown for good, removing its listeners and progress state
+   * @private
+   */
+  _stopCountdown() {
+    this._pauseCountdown();
+    
+    if (this._visibilityHandler) {
+      document.removeEventListener('visibilitychange', this._visibilityHandler);
+      this._visibilityHandler = null;
+      
+      off(this._element, `mouseenter${EVENT_KEY}`);
+      off(this._element, `mouseleave${EVENT_KEY}`);
+      off(this._element, `focusin${EVENT_KEY}`);
+      off(this._element, `focusout${EVENT_KEY}`);
+      
+      if (this._options.progress) {
+        removeClass(this._element, CLASSES.PROGRESS);
+        this._element.style.removeProperty(PROGRESS_PROPERTY);
+      }
+    }
+  }
+  
+  /**
+   * Add or remove a reason to pause the countdown
+   * @param {'hover'|'focus'|'hidden'} reason 
+   * @param {boolean} paused 
+   * @private
+   */
+  _setPaused(reason, paused) {
+    if (paused) {
+      this._pauseReasons.add(reason);
+      this._pauseCountdown();
+    } else {
+      this._pauseReasons.delete(reason);
+      this._resumeCountdown();
+    }
+  }
+  
+  /**
+   * Run the remaining countdown unless something still pauses it
+   * @private
+   */
+  _resumeCountdown() {
+    if (this._timeout || this._pauseReasons.size > 0 || !this._visibilityHandler) return;
+    
+    this._countdownStart = performance.now();
+    this._timeout = setTimeout(() => {
+      this._timeout = null;
+      this.close();
+      
+      // A close.bs.alert handler kept the alert: the countdown is over either way
+      this._stopCountdown();
+    }, this._remaining);
+    
+    if (this._options.progress) {
+      this._updateProgress();
+    }
+  }
+  
+  /**
+   * Pause the countdown, keeping the time left
+   * @private
+   */
+  _pauseCountdown() {
+    if (!this._timeout) return;
+    
+    clearTimeout(this._timeout);
+    this._timeout = null;
+    this._remaining = Math.max(0, this._remaining - (performance.now() - this._countdownStart));
+    
+    if (this._progressFrame) {
+      cancelAnimationFrame(this._progressFrame);
+      this._progressFrame = null;
+    }
+  }
+  
+  /**
+   * Update the progress custom property every frame while counting down
+   * @private
+   */
+  _updateProgress() {
+    const remaining = Math.max(0, this._remaining - (performance.now() - this._countdownStart));
+    const delay = this._options.delay;
+    
+    this._element.style.setProperty(PROGRESS_PROPERTY, String(delay > 0 ? remaining / delay : 0));
+    
+    this._progressFrame = this._timeout
+      ? requestAnimationFrame(() => this._updateProgress())
+      : null;
+  }
+  
   /**
    * Remove the alert element with animation
    * @param {Element} element 
@@ -163,10 +321,11 @@ class Alert {
   /**
    * Get or create Alert instance
    * @param {Element} element 
+   * @param {Object} [options]
    * @returns {Alert}
    */
-  static getOrCreateInstance(element) {
-    return Alert.getInstance(element) || new Alert(element);
+  static getOrCreateInstance(element, options = {}) {
+    return Alert.getInstance(element) || new Alert(element, options);
   }
   
   /**
@@ -198,6 +357,13 @@ class Alert {
   static get DATA_KEY() {
     return DATA_KEY;
   }
+  
+  /**
+   * Default options
+   */
+  static get DEFAULTS() {
+    return DEFAULTS;
+  }
 }
 
 export default Alert;
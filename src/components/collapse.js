@@ -7,7 +7,7 @@
 import $ from 'jqnext';
 import {
   setInstance, getInstance, removeInstance,
-  parseDataOptions
+  parseDataOptions, getPersistedState, setPersistedState, getDuration, getUID
 } from '../utils/index.js';
 
 import {
@@ -18,33 +18,271 @@ import {
 // Constants
 const NAME = 'collapse';
 const DATA_KEY = 'bs.collapse';
+const GROUP_DATA_KEY = 'bs.collapse-group';
 const EVENT_KEY = `.bs.${NAME}`;
 
 const DEFAULTS = {
   toggle: true,
-  parent: null
+  parent: null,
+  persist: null,
+  dimension: null,
+  duration: 350,
+  easing: 'ease'
 };
 
+const GROUP_DEFAULTS = {
+  mode: null
+};
+
+const GROUP_MODES = ['single', 'multi'];
+
 const EVENTS = {
   SHOW: `show${EVENT_KEY}`,
   SHOWN: `shown${EVENT_KEY}`,
   HIDE: `hide${EVENT_KEY}`,
-  HIDDEN: `hidden${EVENT_KEY}`
+  HIDDEN: `hidden${EVENT_KEY}`,
+  GROUP_SHOWN: `shown${EVENT_KEY}-group`,
+  GROUP_HIDDEN: `hidden${EVENT_KEY}-group`
 };
 
 const CLASSES = {
   COLLAPSE: 'collapse',
   COLLAPSING: 'collapsing',
   COLLAPSED: 'collapsed',
+  MIXED: 'collapse-mixed',
   IN: 'in',
-  SHOW: 'show'
+  SHOW: 'show',
+  WIDTH: 'width'
 };
 
 const SELECTORS = {
-  DATA_TOGGLE: '[data-toggle="collapse"]',
-  ACTIVES: '.in, .collapsing'
+  DATA_TOGGLE: '[data-toggle$="collapse"]',
+  DATA_TOGGLE_ALL: '[data-toggle="collapse-all"]',
+  ACTIVES: '.in, .collapsing',
+  PANELS: '.collapse, .collapsing'
 };
 
+// Collapse elements each trigger was attached to with addTrigger()
+const addedTargets = new WeakMap();
+
+// Triggers whose aria-controls was generated (and so may be kept up to date)
+const generatedControls = new WeakSet();
+
+// Selector made of a single id, e.g. "#panel"
+const ID_SELECTOR = /^#[\w-]+$/;
+
+/**
+ * Get the selector of the elements a trigger controls (data-target or href)
+ * @param {Element} trigger 
+ * @returns {string|null}
+ */
+function getTriggerSelector(trigger) {
+  const href = getAttr(trigger, 'href');
+  return getAttr(trigger, 'data-target') || (href && href.replace(/.*(?=#[^\s]+$)/, '')) || null;
+}
+
+// Data-api toggles by the id they target ('#panel' => toggles) and those using
+// any other selector, rebuilt only after the DOM changed
+let toggleIndex = null;
+let toggleObserver = null;
+
+/**
+ * Get the data-api toggles, indexed. The index is dropped whenever toggles are
+ * added, removed or retargeted, so ones rendered later are still found without
+ * querying every toggle on each lookup.
+ * @returns {{byId: Map<string, Element[]>, other: Element[]}}
+ */
+function getToggleIndex() {
+  // Pending mutations haven't reached the observer callback yet
+  if (toggleObserver && toggleObserver.takeRecords().length > 0) {
+    toggleIndex = null;
+  }
+  
+  if (toggleIndex) return toggleIndex;
+  
+  toggleIndex = { byId: new Map(), other: [] };
+  
+  for (const toggle of $$(SELECTORS.DATA_TOGGLE)) {
+    const selector = getTriggerSelector(toggle);
+    if (!selector) continue;
+    
+    if (ID_SELECTOR.test(selector)) {
+      if (!toggleIndex.byId.has(selector)) toggleIndex.byId.set(selector, []);
+      toggleIndex.byId.get(selector).push(toggle);
+    } else {
+      toggleIndex.other.push(toggle);
+    }
+  }
+  
+  if (!toggleObserver) {
+    toggleObserver = new MutationObserver(() => {
+      toggleIndex = null;
+    });
+    toggleObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['data-toggle', 'data-target', 'href']
+    });
+  }
+  
+  return toggleIndex;
+}
+
+/**
+ * Get the elements a trigger controls: those matched by its data-target
+ * or href, plus any it was attached to with addTrigger()
+ * @param {Element} trigger 
+ * @returns {Element[]}
+ */
+function getTriggerTargets(trigger) {
+  const selector = getTriggerSelector(trigger);
+  let targets = [];
+  
+  if (selector) {
+    try {
+      targets = $$(selector);
+    } catch {
+      // Plain link rather than a selector
+    }
+  }
+  
+  const added = addedTargets.get(trigger);
+  return added ? [...new Set([...targets, ...added])] : targets;
+}
+
+/**
+ * Whether a collapse element is open or opening
+ * @param {Element} element 
+ * @returns {boolean}
+ */
+function isTargetOpen(element) {
+  const instance = getInstance(element, DATA_KEY);
+  return instance ? instance._isOpenOrOpening() : hasClass(element, CLASSES.IN);
+}
+
+/**
+ * Collapse group
+ * Expands or collapses all panels within a parent element at once. With a
+ * mode set it also decides whether panels open one at a time ('single',
+ * like data-parent) or independently ('multi'); without one each panel
+ * keeps its own parent option.
+ */
+class CollapseGroup {
+  /**
+   * @param {Element} element - Parent element of the panels
+   * @param {Object} [options]
+   */
+  constructor(element, options = {}) {
+    this._element = element;
+    this._options = {
+      ...GROUP_DEFAULTS,
+      ...parseDataOptions(element, GROUP_DEFAULTS),
+      ...options
+    };
+    this._runId = 0;
+    
+    setInstance(element, GROUP_DATA_KEY, this);
+  }
+  
+  /**
+   * Group element
+   * @returns {Element}
+   */
+  get element() {
+    return this._element;
+  }
+  
+  /**
+   * 'single', 'multi' or null (panels follow their own parent option)
+   * @returns {string|null}
+   */
+  get mode() {
+    return GROUP_MODES.includes(this._options.mode) ? this._options.mode : null;
+  }
+  
+  /**
+   * Get the group's panels, leaving out collapses nested inside a panel
+   * @returns {Element[]}
+   */
+  getPanels() {
+    const panels = $$(SELECTORS.PANELS, this._element);
+    return panels.filter(panel => !panels.some(other => other !== panel && other.contains(panel)));
+  }
+  
+  /**
+   * Open every panel (single mode included)
+   * @returns {Promise<boolean>} Whether all panels ended up open
+   */
+  showAll() {
+    return this._run('show');
+  }
+  
+  /**
+   * Close every panel
+   * @returns {Promise<boolean>} Whether all panels ended up closed
+   */
+  hideAll() {
+    return this._run('hide');
+  }
+  
+  /**
+   * Close every panel if all are open, otherwise open every panel
+   * @returns {Promise<boolean>}
+   */
+  toggleAll() {
+    const allOpen = this.getPanels().every(isTargetOpen);
+    return this._run(allOpen ? 'hide' : 'show');
+  }
+  
+  /**
+   * Destroy the group (panels keep their state and instances)
+   */
+  dispose() {
+    this._runId++;
+    removeInstance(this._element, GROUP_DATA_KEY);
+    this._element = null;
+  }
+  
+  /**
+   * Show or hide all panels, then fire the group event once every
+   * animation has finished. Nothing fires if a panel cancelled, a later
+   * run superseded this one, or a panel was toggled in the meantime.
+   * @param {'show'|'hide'} action 
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _run(action) {
+    const runId = ++this._runId;
+    const instances = this.getPanels().map(panel => Collapse.getOrCreateInstance(panel, { toggle: false }));
+    
+    await Promise.all(instances.map(instance => {
+      if (action === 'hide') return instance.hide();
+      
+      // Opening all panels is explicit, so single mode doesn't close siblings here
+      instance._ignoreAccordion = true;
+      const shown = instance.show();
+      instance._ignoreAccordion = false;
+      return shown;
+    }));
+    
+    if (runId !== this._runId) return false;
+    
+    const isOpen = action === 'show';
+    
+    // Panels disposed during the animations are no longer part of the run
+    const complete = instances.filter(instance => instance.element).every(instance =>
+      !instance._isTransitioning && hasClass(instance.element, CLASSES.IN) === isOpen
+    );
+    
+    if (complete) {
+      $(this._element).trigger($.Event(isOpen ? EVENTS.GROUP_SHOWN : EVENTS.GROUP_HIDDEN));
+    }
+    
+    return complete;
+  }
+}
+
 /**
  * Collapse Class
  * Provides collapsible content functionality
@@ -69,17 +307,20 @@ class Collapse {
     };
     
     this._isTransitioning = false;
-    this._triggerArray = [];
-    
-    // Find all triggers for this collapse
-    const toggleList = $$(SELECTORS.DATA_TOGGLE);
-    for (const toggle of toggleList) {
-      const selector = getAttr(toggle, 'data-target') || getAttr(toggle, 'href');
-      if (selector) {
-        const filterElement = $$(selector).filter(el => el === this._element);
-        if (filterElement.length > 0) {
-          this._triggerArray.push(toggle);
-        }
+    this._transitionDirection = null;
+    this._transitionId = 0;
+    this._animation = null;
+    
+    // Triggers attached with addTrigger() (mapped to their click handler),
+    // and data-api toggles detached with removeTrigger()
+    this._addedTriggers = new Map();
+    this._removedTriggers = new WeakSet();
+    
+    // Accordion parent may be declared on a trigger (data-parent)
+    if (!this._options.parent) {
+      const parentTrigger = this._getTriggers().find(toggle => getAttr(toggle, 'data-parent'));
+      if (parentTrigger) {
+        this._options.parent = getAttr(parentTrigger, 'data-parent');
       }
     }
     
@@ -89,8 +330,13 @@ class Collapse {
     // Store instance
     setInstance(this._element, DATA_KEY, this);
     
+    // Restore persisted state without animating
+    if (this._options.persist) {
+      this._restorePersistedState();
+    }
+    
     // Set initial ARIA state
-    this._addAriaAndCollapsedClass(this._element, this._triggerArray);
+    this._updateTriggers();
     
     // Auto-toggle on init if toggle option is true (Bootstrap 3 behavior)
     if (this._options.toggle) {
@@ -110,7 +356,7 @@ class Collapse {
    * Toggle the collapse
    */
   toggle() {
-    if (hasClass(this._element, CLASSES.IN)) {
+    if (this._isOpenOrOpening()) {
       this.hide();
     } else {
       this.show();
@@ -118,23 +364,32 @@ class Collapse {
   }
   
   /**
-   * Show the collapse
+   * Show the collapse. A running hide is reversed from its current size;
+   * the interrupted hide ends with a hidden event flagged interrupted.
    */
   async show() {
-    if (this._isTransitioning || hasClass(this._element, CLASSES.IN)) {
+    if (this._isOpenOrOpening()) {
       return;
     }
     
     let actives = null;
-    let activesData = null;
+    const group = this._getGroup();
     
     // Accordion behavior - close other panels
-    if (this._parent) {
+    if (this._ignoreAccordion) {
+      actives = null;
+    } else if (group && group.mode) {
+      actives = group.mode === 'single' ? group.getPanels().filter(isTargetOpen) : null;
+      
+      if (actives && actives.length === 0) {
+        actives = null;
+      }
+    } else if (this._parent) {
       actives = $$(SELECTORS.ACTIVES, this._parent).filter(elem => {
         if (this._options.parent) {
           return closest(elem, this._options.parent) === this._parent;
         }
-        return hasClass(elem, CLASSES.COLLAPSE);
+        return hasClass(elem, CLASSES.COLLAPSE) || hasClass(elem, CLASSES.COLLAPSING);
       });
       
       if (actives.length === 0) {
@@ -142,18 +397,11 @@ class Collapse {
       }
     }
     
-    // Check if target is already transitioning
-    if (actives) {
-      activesData = actives.map(elem => getInstance(elem, DATA_KEY));
-      const hasTransitioning = activesData.some(data => data && data._isTransitioning);
-      if (hasTransitioning) return;
-    }
-    
     // Dispatch show event (cancelable)
     const showEvent = this._triggerEvent(EVENTS.SHOW);
     if (showEvent.defaultPrevented) return;
     
-    // Close other active collapses in accordion
+    // Close other active collapses in accordion, reversing any still opening
     if (actives) {
       for (const active of actives) {
         if (active !== this._element) {
@@ -168,56 +416,58 @@ class Collapse {
       }
     }
     
-    this._isTransitioning = true;
+    const dimension = this._getDimension();
+    const interruptedSize = this._stopTransition(dimension);
+    const transitionId = this._startTransition('show');
     
     // Set up for animation
     removeClass(this._element, CLASSES.COLLAPSE);
     addClass(this._element, CLASSES.COLLAPSING);
-    this._element.style.height = '0';
+    this._element.style[dimension] = '0';
     this._element.style.overflow = 'hidden';
+    this._setCrossSize(dimension);
     
     // Update triggers
-    this._setTriggerState(false);
+    this._updateTriggers();
     
     // Force reflow
     reflow(this._element);
     
-    // Calculate natural height
-    this._element.style.height = 'auto';
-    const naturalHeight = this._element.scrollHeight;
-    this._element.style.height = '0';
+    // Calculate natural size
+    this._element.style[dimension] = 'auto';
+    const naturalSize = this._getScrollSize(dimension);
+    const startSize = interruptedSize ?? 0;
+    this._element.style[dimension] = `${startSize}px`;
     
     // Animate
-    try {
-      await this._element.animate([
-        { height: '0px' },
-        { height: `${naturalHeight}px` }
-      ], {
-        duration: 350,
-        easing: 'ease'
-      }).finished;
-    } catch (e) {
-      // Animation cancelled or failed
-    }
+    await this._animate(dimension, startSize, naturalSize, naturalSize);
+    
+    // Superseded by hide() or dispose()
+    if (transitionId !== this._transitionId) return;
     
     // Finish transition
-    this._element.style.height = '';
+    this._element.style[dimension] = '';
     this._element.style.overflow = '';
+    if (dimension === 'width') {
+      this._element.style.height = '';
+    }
     removeClass(this._element, CLASSES.COLLAPSING);
     addClass(this._element, CLASSES.COLLAPSE);
     addClass(this._element, CLASSES.IN);
     
-    this._isTransitioning = false;
+    this._endTransition();
+    this._persistState();
     
     // Dispatch shown event
     this._triggerEvent(EVENTS.SHOWN);
   }
   
   /**
-   * Hide the collapse
+   * Hide the collapse. A running show is reversed from its current size;
+   * the interrupted show ends with a shown event flagged interrupted.
    */
   async hide() {
-    if (this._isTransitioning || !hasClass(this._element, CLASSES.IN)) {
+    if (!this._isOpenOrOpening()) {
       return;
     }
     
@@ -225,11 +475,14 @@ class Collapse {
     const hideEvent = this._triggerEvent(EVENTS.HIDE);
     if (hideEvent.defaultPrevented) return;
     
-    this._isTransitioning = true;
+    const dimension = this._getDimension();
+    const interruptedSize = this._stopTransition(dimension);
+    const transitionId = this._startTransition('hide');
     
-    // Get current height for animation
-    const currentHeight = this._element.scrollHeight;
-    this._element.style.height = `${currentHeight}px`;
+    // Get current size for animation
+    const naturalSize = this._getScrollSize(dimension);
+    const startSize = interruptedSize ?? naturalSize;
+    this._element.style[dimension] = `${startSize}px`;
     
     // Force reflow
     reflow(this._element);
@@ -239,43 +492,100 @@ class Collapse {
     removeClass(this._element, CLASSES.IN);
     addClass(this._element, CLASSES.COLLAPSING);
     this._element.style.overflow = 'hidden';
+    this._setCrossSize(dimension);
     
     // Update triggers
-    this._setTriggerState(true);
+    this._updateTriggers();
     
     // Animate
-    try {
-      await this._element.animate([
-        { height: `${currentHeight}px` },
-        { height: '0px' }
-      ], {
-        duration: 350,
-        easing: 'ease'
-      }).finished;
-    } catch (e) {
-      // Animation cancelled or failed
-    }
+    await this._animate(dimension, startSize, 0, naturalSize);
+    
+    // Superseded by show() or dispose()
+    if (transitionId !== this._transitionId) return;
     
     // Finish transition
-    this._element.style.height = '';
+    this._element.style[dimension] = '';
     this._element.style.overflow = '';
+    if (dimension === 'width') {
+      this._element.style.height = '';
+    }
     removeClass(this._element, CLASSES.COLLAPSING);
     addClass(this._element, CLASSES.COLLAPSE);
     
-    this._isTransitioning = false;
+    this._endTransition();
+    this._persistState();
     
     // Dispatch hidden event
     this._triggerEvent(EVENTS.HIDDEN);
   }
   
+  /**
+   * Make an element toggle this collapse and reflect its state
+   * (collapsed class, aria-expanded, aria-controls)
+   * @param {Element} trigger 
+   */
+  addTrigger(trigger) {
+    if (!trigger || this._addedTriggers.has(trigger)) return;
+    
+    this._removedTriggers.delete(trigger);
+    
+    if (!addedTargets.has(trigger)) {
+      addedTargets.set(trigger, new Set());
+    }
+    addedTargets.get(trigger).add(this._element);
+    
+    // Data-api toggles are already handled by the document click listener
+    const handler = trigger.matches(SELECTORS.DATA_TOGGLE) ? null : (event) => {
+      if (trigger.tagName === 'A') event.preventDefault();
+      this.toggle();
+    };
+    
+    if (handler) {
+      $(trigger).on(`click${EVENT_KEY}`, handler);
+    }
+    this._addedTriggers.set(trigger, handler);
+    
+    this._updateTriggers();
+  }
+  
+  /**
+   * Stop an element from reflecting this collapse's state. Data-api
+   * toggles still toggle on click but are no longer updated.
+   * @param {Element} trigger 
+   */
+  removeTrigger(trigger) {
+    if (!trigger) return;
+    
+    if (this._addedTriggers.has(trigger)) {
+      const handler = this._addedTriggers.get(trigger);
+      if (handler) {
+        $(trigger).off(`click${EVENT_KEY}`, handler);
+      }
+      this._addedTriggers.delete(trigger);
+      addedTargets.get(trigger)?.delete(this._element);
+    }
+    
+    this._removedTriggers.add(trigger);
+  }
+  
   /**
    * Destroy the collapse instance
    */
   dispose() {
+    // Drop any running transition without finishing it
+    this._transitionId++;
+    if (this._animation) {
+      this._animation.cancel();
+      this._animation = null;
+    }
+    
+    for (const trigger of [...this._addedTriggers.keys()]) {
+      this.removeTrigger(trigger);
+    }
+    
     removeInstance(this._element, DATA_KEY);
     this._options = null;
     this._parent = null;
-    this._triggerArray = null;
     this._isTransitioning = false;
     this._element = null;
   }
@@ -305,51 +615,241 @@ class Collapse {
   }
   
   /**
-   * Add ARIA and collapsed class to triggers
-   * @param {Element} element 
-   * @param {Element[]} triggers 
+   * Get the animated dimension, 'width' for `.collapse.width` elements
+   * @returns {'height'|'width'}
+   * @private
+   */
+  _getDimension() {
+    if (this._options.dimension === 'width' || this._options.dimension === 'height') {
+      return this._options.dimension;
+    }
+    return hasClass(this._element, CLASSES.WIDTH) ? 'width' : 'height';
+  }
+  
+  /**
+   * Keep the natural height while animating width: `.collapsing` sets
+   * height: 0, and only `.collapsing.width` undoes it in CSS
+   * @param {'height'|'width'} dimension 
+   * @private
+   */
+  _setCrossSize(dimension) {
+    if (dimension === 'width') {
+      this._element.style.height = 'auto';
+    }
+  }
+  
+  /**
+   * Get the content size along a dimension
+   * @param {'height'|'width'} dimension 
+   * @returns {number}
+   * @private
+   */
+  _getScrollSize(dimension) {
+    return dimension === 'width' ? this._element.scrollWidth : this._element.scrollHeight;
+  }
+  
+  /**
+   * Whether the collapse is open or on its way to opening
+   * @returns {boolean}
+   * @private
+   */
+  _isOpenOrOpening() {
+    return this._isTransitioning
+      ? this._transitionDirection === 'show'
+      : hasClass(this._element, CLASSES.IN);
+  }
+  
+  /**
+   * Begin a transition, superseding any running one
+   * @param {'show'|'hide'} direction 
+   * @returns {number} Id to check the transition is still current after awaiting
+   * @private
+   */
+  _startTransition(direction) {
+    this._isTransitioning = true;
+    this._transitionDirection = direction;
+    return ++this._transitionId;
+  }
+  
+  /**
+   * Mark the current transition as finished
+   * @private
+   */
+  _endTransition() {
+    this._isTransitioning = false;
+    this._transitionDirection = null;
+    this._animation = null;
+  }
+  
+  /**
+   * Cancel the running animation and end it with its shown/hidden event
+   * (flagged interrupted), so show/shown and hide/hidden stay paired
+   * @param {'height'|'width'} dimension 
+   * @returns {number|null} Size reached when interrupted, null if none was running
    * @private
    */
-  _addAriaAndCollapsedClass(element, triggers) {
-    const isOpen = hasClass(element, CLASSES.IN);
+  _stopTransition(dimension) {
+    if (!this._isTransitioning) return null;
     
-    if (triggers.length) {
-      for (const trigger of triggers) {
-        if (isOpen) {
-          removeClass(trigger, CLASSES.COLLAPSED);
-        } else {
-          addClass(trigger, CLASSES.COLLAPSED);
-        }
-        setAttr(trigger, 'aria-expanded', isOpen.toString());
-      }
+    const size = this._element.getBoundingClientRect()[dimension];
+    const direction = this._transitionDirection;
+    
+    if (this._animation) {
+      this._animation.cancel();
+      this._animation = null;
+    }
+    
+    this._triggerEvent(direction === 'show' ? EVENTS.SHOWN : EVENTS.HIDDEN, { interrupted: true });
+    
+    return size;
+  }
+  
+  /**
+   * Animate a dimension between two sizes. The duration is scaled to the
+   * distance left, so a reversed transition takes as long as it has run.
+   * Resolves immediately when the user prefers reduced motion.
+   * @param {'height'|'width'} dimension 
+   * @param {number} from - Start size (px)
+   * @param {number} to - End size (px)
+   * @param {number} fullSize - Size of a complete transition (px)
+   * @returns {Promise}
+   * @private
+   */
+  async _animate(dimension, from, to, fullSize) {
+    const distance = Math.abs(to - from);
+    const duration = getDuration(this._options.duration) * (fullSize > 0 ? Math.min(distance / fullSize, 1) : 1);
+    
+    if (!duration || !distance) return;
+    
+    this._animation = this._element.animate([
+      { [dimension]: `${from}px` },
+      { [dimension]: `${to}px` }
+    ], {
+      duration,
+      easing: this._options.easing
+    });
+    
+    try {
+      await this._animation.finished;
+    } catch (e) {
+      // Animation cancelled (reversed or disposed)
+    }
+  }
+  
+  /**
+   * Apply the persisted open state (no animation or events)
+   * @private
+   */
+  _restorePersistedState() {
+    const isOpen = getPersistedState(String(this._options.persist));
+    
+    if (isOpen === true) {
+      addClass(this._element, CLASSES.IN);
+    } else if (isOpen === false) {
+      removeClass(this._element, CLASSES.IN);
+    }
+  }
+  
+  /**
+   * Save the open state (persist option)
+   * @private
+   */
+  _persistState() {
+    if (this._options.persist) {
+      setPersistedState(String(this._options.persist), hasClass(this._element, CLASSES.IN));
+    }
+  }
+  
+  /**
+   * Get the nearest group the element belongs to
+   * @returns {CollapseGroup|null}
+   * @private
+   */
+  _getGroup() {
+    for (let parent = this._element.parentElement; parent; parent = parent.parentElement) {
+      const group = getInstance(parent, GROUP_DATA_KEY);
+      if (group) return group;
     }
+    return null;
+  }
+  
+  /**
+   * Find the current triggers: data-api toggles targeting this element
+   * (from the toggle index, so toggles rendered later are included) plus
+   * those attached with addTrigger()
+   * @returns {Element[]}
+   * @private
+   */
+  _getTriggers() {
+    const element = this._element;
+    const index = getToggleIndex();
+    
+    // Toggles pointing at this element's id
+    const byId = element.id ? index.byId.get(`#${element.id}`) || [] : [];
+    
+    // Any other selector (classes, lists) is matched against this element only
+    const bySelector = index.other.filter(toggle => {
+      const selector = getTriggerSelector(toggle);
+      
+      try {
+        return element.matches(selector);
+      } catch {
+        // Plain link rather than a selector
+        return false;
+      }
+    });
+    
+    const toggles = [...byId, ...bySelector].filter(toggle => !this._removedTriggers.has(toggle));
+    
+    return [...new Set([...toggles, ...this._addedTriggers.keys()])];
   }
   
   /**
-   * Set trigger collapsed state
-   * @param {boolean} collapsed 
+   * Update collapsed class, aria-expanded and aria-controls on the triggers.
+   * A trigger controlling several elements is expanded only when all of
+   * them are open, and gets the mixed class when only some are.
    * @private
    */
-  _setTriggerState(collapsed) {
-    for (const trigger of this._triggerArray) {
-      if (collapsed) {
+  _updateTriggers() {
+    for (const trigger of this._getTriggers()) {
+      const targets = getTriggerTargets(trigger);
+      const openCount = targets.filter(isTargetOpen).length;
+      const isOpen = openCount > 0 && openCount === targets.length;
+      
+      if (openCount === 0) {
         addClass(trigger, CLASSES.COLLAPSED);
       } else {
         removeClass(trigger, CLASSES.COLLAPSED);
       }
-      setAttr(trigger, 'aria-expanded', (!collapsed).toString());
+      
+      if (openCount > 0 && !isOpen) {
+        addClass(trigger, CLASSES.MIXED);
+      } else {
+        removeClass(trigger, CLASSES.MIXED);
+      }
+      
+      setAttr(trigger, 'aria-expanded', isOpen.toString());
+      
+      if (!trigger.hasAttribute('aria-controls') || generatedControls.has(trigger)) {
+        for (const target of targets) {
+          if (!target.id) target.id = getUID(`${NAME}-`);
+        }
+        setAttr(trigger, 'aria-controls', targets.map(target => target.id).join(' '));
+        generatedControls.add(trigger);
+      }
     }
   }
   
   /**
    * Trigger custom event
    * @param {string} eventType
+   * @param {Object} [detail] - Extra event properties
    * @returns {Event}
    * @private
    */
-  _triggerEvent(eventType) {
+  _triggerEvent(eventType, detail = {}) {
     // Use JQNext trigger for proper namespace handling
-    const event = $.Event(eventType);
+    const event = $.Event(eventType, detail);
     this.$element.trigger(event);
     return event;
   }
@@ -375,6 +875,25 @@ class Collapse {
     return Collapse.getInstance(element) || new Collapse(element, options);
   }
   
+  /**
+   * Get or create the group of panels within an element
+   * @param {Element|string} element - Parent element or selector
+   * @param {Object} [options] - { mode: 'single' | 'multi' }
+   * @returns {CollapseGroup|null}
+   */
+  static group(element, options = {}) {
+    const groupElement = $(element)[0];
+    if (!groupElement) return null;
+    
+    const group = getInstance(groupElement, GROUP_DATA_KEY);
+    if (group) {
+      Object.assign(group._options, options);
+      return group;
+    }
+    
+    return new CollapseGroup(groupElement, options);
+  }
+  
   /**
    * Handle click on collapse trigger
    * @param {Event} event 
@@ -6,10 +6,11 @@
 import $ from 'jqnext';
 import {
   setInstance, getInstance, removeInstance,
-  parseDataOptions, isDisabled
+  parseDataOptions, isDisabled, rememberFocus,
+  computePosition, applyPosition, autoUpdate
 } from '../utils/index.js';
 import {
-  $$, closest, parent, hasClass, addClass, removeClass,
+  $$, closest, parent, hasClass, addClass, removeClass, toggleClass,
   getAttr, setAttr, on, off
 } from './helpers.js';
 
@@ -18,19 +19,29 @@ const NAME = 'dropdown';
 const DATA_KEY = 'bs.dropdown';
 const EVENT_KEY = `.bs.${NAME}`;
 
+const SUBMENU_EVENT_KEY = '.bs.submenu';
+
 const DEFAULTS = {
   offset: 0,
   flip: true,
   boundary: 'scrollParent',
   reference: 'toggle',
-  display: 'dynamic'
+  display: 'dynamic',
+  restoreFocus: true,
+  submenuDelay: 150,
+  wrap: false,
+  typeaheadTimeout: 500
 };
 
 const EVENTS = {
   SHOW: `show${EVENT_KEY}`,
   SHOWN: `shown${EVENT_KEY}`,
   HIDE: `hide${EVENT_KEY}`,
-  HIDDEN: `hidden${EVENT_KEY}`
+  HIDDEN: `hidden${EVENT_KEY}`,
+  SUBMENU_SHOW: `show${SUBMENU_EVENT_KEY}`,
+  SUBMENU_SHOWN: `shown${SUBMENU_EVENT_KEY}`,
+  SUBMENU_HIDE: `hide${SUBMENU_EVENT_KEY}`,
+  SUBMENU_HIDDEN: `hidden${SUBMENU_EVENT_KEY}`
 };
 
 const CLASSES = {
@@ -39,7 +50,10 @@ const CLASSES = {
   OPEN: 'open',
   DROPUP: 'dropup',
   DROPDOWN_MENU: 'dropdown-menu',
-  DROPDOWN_MENU_RIGHT: 'dropdown-menu-right'
+  DROPDOWN_MENU_RIGHT: 'dropdown-menu-right',
+  PULL_RIGHT: 'pull-right',
+  PULL_LEFT: 'pull-left',
+  SUBMENU: 'dropdown-submenu'
 };
 
 const SELECTORS = {
@@ -47,14 +61,31 @@ const SELECTORS = {
   DROPDOWN: '.dropdown, .dropup, .btn-group',
   DROPDOWN_MENU: '.dropdown-menu',
   VISIBLE_ITEMS: '.dropdown-menu li:not(.divider):not(.disabled) a',
+  MENU_ITEMS: ':scope > li:not(.divider):not(.disabled) > a',
+  MENU_ITEM_LINKS: ':scope > li > a',
+  DIVIDERS: ':scope > li.divider',
+  EDITABLE: 'input, textarea, select, [contenteditable]:not([contenteditable="false"])',
+  SUBMENU: '.dropdown-submenu',
+  SUBMENU_TOGGLE: '.dropdown-submenu > a',
+  SUBMENU_MENU: ':scope > .dropdown-menu',
   FORM_CHILD: '.dropdown form'
 };
 
+const DISPLAY = {
+  DYNAMIC: 'dynamic',
+  STATIC: 'static'
+};
+
 const KEYS = {
   TAB: 'Tab',
+  ENTER: 'Enter',
   ESCAPE: 'Escape',
   SPACE: ' ',
+  HOME: 'Home',
+  END: 'End',
+  ARROW_LEFT: 'ArrowLeft',
   ARROW_UP: 'ArrowUp',
+  ARROW_RIGHT: 'ArrowRight',
   ARROW_DOWN: 'ArrowDown'
 };
 
@@ -80,6 +111,16 @@ class Dropdown {
     // Get menu element
     this._menu = this._getMenuElement();
     
+    this._focusReturn = null;
+    this._cleanupAutoUpdate = null;
+    this._isDropupFlipped = false;
+    this._submenuTimer = null;
+    this._hoverItem = null;
+    this._flippedSubmenus = new Set();
+    this._clickedSubmenus = new Set();
+    this._typeaheadBuffer = '';
+    this._typeaheadTimer = null;
+    
     // Parse options
     this._options = {
       ...DEFAULTS,
@@ -90,6 +131,9 @@ class Dropdown {
     // Bind events
     this._bindEvents();
     
+    // WAI-ARIA menu button roles
+    this._initMenuAria();
+    
     // Store instance
     setInstance(this._element, DATA_KEY, this);
   }
@@ -134,9 +178,20 @@ class Dropdown {
     // Update ARIA
     setAttr(this._element, 'aria-expanded', 'true');
     
+    // Menu content may have changed since the last time it was opened
+    this._initMenuAria();
+    
+    // Position menu (display: 'dynamic')
+    this._startPositioning();
+    
     // Add document click listener to close
     this._addDocumentListener();
     
+    // Remember focus so it can be returned when the menu closes
+    if (this._options.restoreFocus) {
+      this._focusReturn = rememberFocus(this._element);
+    }
+    
     // Focus first item or toggle
     this._element.focus();
     
@@ -154,35 +209,88 @@ class Dropdown {
     const hideEvent = this._triggerEvent(EVENTS.HIDE, { relatedTarget: this._element });
     if (hideEvent.defaultPrevented) return;
     
+    // Close submenus first (deepest level first)
+    this._hideAllSubmenus();
+    
     // Remove open class
     removeClass(this._parent, CLASSES.OPEN);
     
+    // Hand positioning back to CSS
+    this._stopPositioning();
+    
     // Update ARIA
     setAttr(this._element, 'aria-expanded', 'false');
     
     // Remove document listener
     this._removeDocumentListener();
     
+    // Return focus if it was inside the menu (e.g. an item was activated)
+    if (this._focusReturn) {
+      this._focusReturn(this._parent);
+      this._focusReturn = null;
+    }
+    
     // Dispatch hidden event
     this._triggerEvent(EVENTS.HIDDEN, { relatedTarget: this._element });
   }
   
   /**
-   * Update dropdown position (noop for Bootstrap 3 compat)
+   * Update dropdown menu position
+   * With display: 'static' the menu is positioned by CSS (Bootstrap 3 behavior)
+   * and this is a no-op.
+   * @returns {Promise}
    */
-  update() {
-    // In Bootstrap 3, position is handled by CSS
-    // This method exists for API compatibility
+  async update() {
+    if (!this._isDynamic() || !this._isShown()) return;
+    
+    const menu = this._menu;
+    const placement = this._getPlacement();
+    
+    const position = await computePosition(this._getReferenceElement(), menu, {
+      placement,
+      offset: this._options.offset,
+      flip: this._options.flip,
+      flipCrossAxis: false,
+      shift: true,
+      boundary: this._options.boundary
+    });
+    
+    // Menu may have been closed while computing
+    if (!this._isShown()) return;
+    
+    applyPosition(menu, position);
+    
+    // Reflect a flip in the dropup class so carets and menu styles follow
+    const isDropup = position.placement.split('-')[0] === 'top';
+    if (isDropup !== hasClass(this._parent, CLASSES.DROPUP)) {
+      toggleClass(this._parent, CLASSES.DROPUP);
+      this._isDropupFlipped = !this._isDropupFlipped;
+    }
+    
+    // Keep open submenus attached to their items
+    for (const submenu of this._getOpenSubmenus()) {
+      await this._positionSubmenu(submenu);
+    }
   }
   
   /**
    * Destroy the dropdown instance
    */
   dispose() {
+    this._stopPositioning();
     this._removeDocumentListener();
+    this._clickedSubmenus.clear();
+    clearTimeout(this._submenuTimer);
+    clearTimeout(this._typeaheadTimer);
     off(this._element, 'click');
     off(this._element, 'keydown');
+    if (this._menu) {
+      off(this._menu, 'keydown');
+      off(this._menu, 'mouseover');
+      off(this._menu, 'mouseleave');
+    }
     removeInstance(this._element, DATA_KEY);
+    this._focusReturn = null;
     this._element = null;
     this._menu = null;
     this._parent = null;
@@ -201,6 +309,390 @@ class Dropdown {
     on(this._element, 'keydown', (e) => {
       this._handleKeydown(e);
     });
+    
+    if (!this._menu) return;
+    
+    // Keyboard navigation once focus has moved into the menu
+    on(this._menu, 'keydown', (e) => {
+      this._handleKeydown(e);
+    });
+    
+    // Hover intent for submenus
+    on(this._menu, 'mouseover', (e) => {
+      this._handleMenuMouseover(e);
+    });
+    on(this._menu, 'mouseleave', () => {
+      this._scheduleSubmenuPath(null);
+    });
+  }
+  
+  /**
+   * Open the submenu under the pointer after the hover-intent delay
+   * @param {MouseEvent} event 
+   * @private
+   */
+  _handleMenuMouseover(event) {
+    const item = closest(event.target, 'li');
+    if (!item || !this._menu.contains(item) || item === this._hoverItem) return;
+    
+    this._scheduleSubmenuPath(item);
+  }
+  
+  /**
+   * Schedule opening the submenus leading to item (and closing all others)
+   * @param {Element|null} item - Hovered menu item, null to close all submenus
+   * @private
+   */
+  _scheduleSubmenuPath(item) {
+    this._hoverItem = item;
+    clearTimeout(this._submenuTimer);
+    
+    this._submenuTimer = setTimeout(() => {
+      if (this._isShown()) {
+        this._activateSubmenuPath(item);
+      }
+    }, this._options.submenuDelay);
+  }
+  
+  /**
+   * Set menu button roles and ARIA attributes (author-provided roles are kept)
+   * @private
+   */
+  _initMenuAria() {
+    if (!this._element.hasAttribute('aria-haspopup')) {
+      setAttr(this._element, 'aria-haspopup', 'true');
+    }
+    setAttr(this._element, 'aria-expanded', this._isShown().toString());
+    
+    if (!this._menu) return;
+    
+    const setDefault = (element, attr, value) => {
+      if (!element.hasAttribute(attr)) {
+        setAttr(element, attr, value);
+      }
+    };
+    
+    const menus = [this._menu, ...$$(SELECTORS.DROPDOWN_MENU, this._menu)];
+    for (const menu of menus) {
+      setDefault(menu, 'role', 'menu');
+      
+      for (const link of $$(SELECTORS.MENU_ITEM_LINKS, menu)) {
+        setDefault(link.parentElement, 'role', 'none');
+        setDefault(link, 'role', 'menuitem');
+        
+        if (hasClass(link.parentElement, CLASSES.DISABLED)) {
+          setAttr(link, 'aria-disabled', 'true');
+        }
+      }
+      
+      for (const divider of $$(SELECTORS.DIVIDERS, menu)) {
+        setDefault(divider, 'role', 'separator');
+      }
+    }
+    
+    if (this._element.id) {
+      setDefault(this._menu, 'aria-labelledby', this._element.id);
+    }
+    
+    for (const submenu of $$(SELECTORS.SUBMENU, this._menu)) {
+      const toggle = this._getSubmenuToggle(submenu);
+      if (toggle) {
+        setAttr(toggle, 'aria-haspopup', 'true');
+        setAttr(toggle, 'aria-expanded', hasClass(submenu, CLASSES.OPEN).toString());
+      }
+    }
+  }
+  
+  /**
+   * Open submenus containing item (and item itself if it is a submenu),
+   * close every other open submenu
+   * @param {Element|null} item 
+   * @returns {boolean} Whether item's own submenu is open afterwards
+   * @private
+   */
+  _activateSubmenuPath(item) {
+    const path = [];
+    let current = item ? closest(item, SELECTORS.SUBMENU) : null;
+    
+    while (current && this._menu.contains(current)) {
+      path.unshift(current);
+      current = closest(current.parentElement, SELECTORS.SUBMENU);
+    }
+    
+    // Close submenus that are off the path, deepest first
+    for (const submenu of this._getOpenSubmenus().reverse()) {
+      if (!path.includes(submenu)) {
+        this._hideSubmenu(submenu);
+      }
+    }
+    
+    // Open the path, outermost first
+    for (const submenu of path) {
+      if (!this._showSubmenu(submenu)) return false;
+    }
+    
+    return !!item && hasClass(item, CLASSES.SUBMENU) && hasClass(item, CLASSES.OPEN);
+  }
+  
+  /**
+   * Show a submenu
+   * @param {Element} submenu - li.dropdown-submenu
+   * @returns {boolean} Whether the submenu is open
+   * @private
+   */
+  _showSubmenu(submenu) {
+    if (hasClass(submenu, CLASSES.OPEN)) return true;
+    
+    const toggle = this._getSubmenuToggle(submenu);
+    const detail = { relatedTarget: this._element, level: this._getSubmenuLevel(submenu) };
+    
+    const showEvent = this._triggerEventOn(toggle || submenu, EVENTS.SUBMENU_SHOW, detail);
+    if (showEvent.defaultPrevented) return false;
+    
+    addClass(submenu, CLASSES.OPEN);
+    if (toggle) {
+      setAttr(toggle, 'aria-expanded', 'true');
+    }
+    
+    this._positionSubmenu(submenu);
+    
+    this._triggerEventOn(toggle || submenu, EVENTS.SUBMENU_SHOWN, detail);
+    return true;
+  }
+  
+  /**
+   * Hide a submenu and any submenus open inside it
+   * @param {Element} submenu - li.dropdown-submenu
+   * @param {boolean} [force=false] - Ignore cancelled hide events (used when the dropdown closes)
+   * @returns {boolean} Whether the submenu is closed
+   * @private
+   */
+  _hideSubmenu(submenu, force = false) {
+    if (!hasClass(submenu, CLASSES.OPEN)) return true;
+    
+    // Children first
+    const nested = $$(`${SELECTORS.SUBMENU}.${CLASSES.OPEN}`, submenu).reverse();
+    for (const child of nested) {
+      if (!this._hideSubmenu(child, force) && !force) return false;
+    }
+    
+    const toggle = this._getSubmenuToggle(submenu);
+    const detail = { relatedTarget: this._element, level: this._getSubmenuLevel(submenu) };
+    
+    const hideEvent = this._triggerEventOn(toggle || submenu, EVENTS.SUBMENU_HIDE, detail);
+    if (hideEvent.defaultPrevented && !force) return false;
+    
+    removeClass(submenu, CLASSES.OPEN);
+    if (toggle) {
+      setAttr(toggle, 'aria-expanded', 'false');
+    }
+    
+    // Hand positioning back to CSS
+    const menu = this._getSubmenuMenu(submenu);
+    if (menu) {
+      for (const prop of ['position', 'left', 'top', 'right', 'bottom', 'margin']) {
+        menu.style[prop] = '';
+      }
+    }
+    if (this._flippedSubmenus.has(submenu)) {
+      removeClass(submenu, CLASSES.PULL_LEFT);
+      this._flippedSubmenus.delete(submenu);
+    }
+    this._clickedSubmenus.delete(submenu);
+    
+    this._triggerEventOn(toggle || submenu, EVENTS.SUBMENU_HIDDEN, detail);
+    return true;
+  }
+  
+  /**
+   * Close every open submenu without allowing cancellation
+   * @private
+   */
+  _hideAllSubmenus() {
+    clearTimeout(this._submenuTimer);
+    this._hoverItem = null;
+    
+    for (const submenu of this._getOpenSubmenus().reverse()) {
+      this._hideSubmenu(submenu, true);
+    }
+  }
+  
+  /**
+   * Position submenu beside its item, flipping left at the boundary edge
+   * @param {Element} submenu 
+   * @returns {Promise}
+   * @private
+   */
+  async _positionSubmenu(submenu) {
+    const menu = this._getSubmenuMenu(submenu);
+    if (!menu || !this._isDynamic()) return;
+    
+    // A pull-left authored in markup is the preferred side
+    const prefersLeft = hasClass(submenu, CLASSES.PULL_LEFT) && !this._flippedSubmenus.has(submenu);
+    
+    const position = await computePosition(submenu, menu, {
+      placement: prefersLeft ? 'left-start' : 'right-start',
+      offset: 0,
+      flip: this._options.flip,
+      flipCrossAxis: false,
+      shift: true,
+      boundary: 'viewport'
+    });
+    
+    // Submenu may have been closed while computing
+    if (!hasClass(submenu, CLASSES.OPEN)) return;
+    
+    applyPosition(menu, position);
+    
+    const isLeft = position.placement.split('-')[0] === 'left';
+    if (isLeft && !hasClass(submenu, CLASSES.PULL_LEFT)) {
+      addClass(submenu, CLASSES.PULL_LEFT);
+      this._flippedSubmenus.add(submenu);
+    } else if (!isLeft && this._flippedSubmenus.has(submenu)) {
+      removeClass(submenu, CLASSES.PULL_LEFT);
+      this._flippedSubmenus.delete(submenu);
+    }
+  }
+  
+  /**
+   * Get open submenus in document order
+   * @returns {Element[]}
+   * @private
+   */
+  _getOpenSubmenus() {
+    return this._menu ? $$(`${SELECTORS.SUBMENU}.${CLASSES.OPEN}`, this._menu) : [];
+  }
+  
+  /**
+   * Get the item that toggles a submenu
+   * @param {Element} submenu 
+   * @returns {Element|null}
+   * @private
+   */
+  _getSubmenuToggle(submenu) {
+    return $$(':scope > a', submenu)[0] || null;
+  }
+  
+  /**
+   * Get the menu of a submenu
+   * @param {Element} submenu 
+   * @returns {Element|null}
+   * @private
+   */
+  _getSubmenuMenu(submenu) {
+    return $$(SELECTORS.SUBMENU_MENU, submenu)[0] || null;
+  }
+  
+  /**
+   * Get nesting level of a submenu (1 = directly inside the dropdown menu)
+   * @param {Element} submenu 
+   * @returns {number}
+   * @private
+   */
+  _getSubmenuLevel(submenu) {
+    let level = 0;
+    let current = submenu;
+    
+    while (current && this._menu.contains(current)) {
+      level++;
+      current = closest(current.parentElement, SELECTORS.SUBMENU);
+    }
+    
+    return level;
+  }
+  
+  /**
+   * Get the submenu whose menu contains element
+   * @param {Element} element 
+   * @returns {Element|null}
+   * @private
+   */
+  _getContainingSubmenu(element) {
+    const menu = closest(element, SELECTORS.DROPDOWN_MENU);
+    if (!menu || menu === this._menu || !this._menu.contains(menu)) return null;
+    
+    return hasClass(menu.parentElement, CLASSES.SUBMENU) ? menu.parentElement : null;
+  }
+  
+  /**
+   * Check if menu is positioned by script
+   * @returns {boolean}
+   * @private
+   */
+  _isDynamic() {
+    return !!this._menu && this._options.display !== DISPLAY.STATIC;
+  }
+  
+  /**
+   * Start positioning the menu and keep it updated on scroll/resize
+   * @private
+   */
+  _startPositioning() {
+    if (!this._isDynamic()) return;
+    
+    this._stopPositioning();
+    this._cleanupAutoUpdate = autoUpdate(this._getReferenceElement(), this._menu, () => {
+      this.update();
+    });
+  }
+  
+  /**
+   * Stop auto-update and restore CSS positioning
+   * @private
+   */
+  _stopPositioning() {
+    if (this._cleanupAutoUpdate) {
+      this._cleanupAutoUpdate();
+      this._cleanupAutoUpdate = null;
+    }
+    
+    if (this._isDropupFlipped) {
+      toggleClass(this._parent, CLASSES.DROPUP);
+      this._isDropupFlipped = false;
+    }
+    
+    if (this._menu && this._options.display !== DISPLAY.STATIC) {
+      for (const prop of ['position', 'left', 'top', 'right', 'bottom', 'margin']) {
+        this._menu.style[prop] = '';
+      }
+    }
+  }
+  
+  /**
+   * Get preferred placement from markup (.dropup, .dropdown-menu-right)
+   * @returns {string}
+   * @private
+   */
+  _getPlacement() {
+    // Ignore a dropup class that we added ourselves when flipping
+    const isDropup = hasClass(this._parent, CLASSES.DROPUP) !== this._isDropupFlipped;
+    const isRight = hasClass(this._menu, CLASSES.DROPDOWN_MENU_RIGHT) ||
+                    hasClass(this._menu, CLASSES.PULL_RIGHT);
+    
+    return `${isDropup ? 'top' : 'bottom'}-${isRight ? 'end' : 'start'}`;
+  }
+  
+  /**
+   * Get element the menu is positioned against
+   * @returns {Element}
+   * @private
+   */
+  _getReferenceElement() {
+    const reference = this._options.reference;
+    
+    if (reference === 'parent') {
+      return this._parent;
+    }
+    
+    if (reference instanceof Element) {
+      return reference;
+    }
+    
+    if (typeof reference === 'string' && reference !== 'toggle') {
+      return $(reference)[0] || this._element;
+    }
+    
+    return this._element;
   }
   
   /**
@@ -209,6 +701,21 @@ class Dropdown {
    */
   _addDocumentListener() {
     this._documentClickHandler = (e) => {
+      // Submenu toggles open their submenu instead of closing the dropdown.
+      // Pointing at the toggle usually opened it already, so only a click on
+      // a submenu that is open from an earlier click closes it again.
+      const submenuToggle = closest(e.target, SELECTORS.SUBMENU_TOGGLE);
+      if (submenuToggle && this._menu && this._menu.contains(submenuToggle)) {
+        e.preventDefault();
+        const submenu = submenuToggle.parentElement;
+        if (this._clickedSubmenus.has(submenu)) {
+          this._hideSubmenu(submenu);
+        } else if (this._activateSubmenuPath(submenu)) {
+          this._clickedSubmenus.add(submenu);
+        }
+        return;
+      }
+      
       // Don't close if clicking inside dropdown
       if (this._parent.contains(e.target)) {
         // But do close if clicking a menu item (unless it's in a form)
@@ -254,42 +761,162 @@ class Dropdown {
    * @private
    */
   _handleKeydown(event) {
+    const isFromMenu = !!this._menu && this._menu.contains(event.target);
+    
+    // Form fields inside the menu keep their keys (except Escape)
+    if (isFromMenu && event.key !== KEYS.ESCAPE && closest(event.target, SELECTORS.EDITABLE)) {
+      return;
+    }
+    
+    // Type-to-select by item text
+    if (this._isShown() && this._isTypeaheadKey(event)) {
+      event.preventDefault();
+      event.stopPropagation();
+      this._typeahead(event.key, isFromMenu ? closest(event.target, SELECTORS.DROPDOWN_MENU) : this._menu);
+      return;
+    }
+    
     // Only handle specific keys
-    if (![KEYS.ARROW_UP, KEYS.ARROW_DOWN, KEYS.ESCAPE, KEYS.SPACE].includes(event.key)) {
+    if (![KEYS.ARROW_UP, KEYS.ARROW_DOWN, KEYS.ARROW_LEFT, KEYS.ARROW_RIGHT,
+          KEYS.HOME, KEYS.END, KEYS.ENTER, KEYS.ESCAPE, KEYS.SPACE].includes(event.key)) {
       return;
     }
     
+    // Left/Right only navigate submenus; Space on a menu item keeps its native behavior
+    if (!isFromMenu && (event.key === KEYS.ARROW_LEFT || event.key === KEYS.ARROW_RIGHT)) return;
+    if (isFromMenu && event.key === KEYS.SPACE) return;
+    
+    // Home/End only apply to an open menu
+    if (!this._isShown() && (event.key === KEYS.HOME || event.key === KEYS.END)) return;
+    
     event.preventDefault();
     event.stopPropagation();
     
     if (event.key === KEYS.ESCAPE) {
+      // Escape inside a submenu closes only that level
+      const submenu = isFromMenu ? this._getContainingSubmenu(event.target) : null;
+      if (submenu) {
+        this._closeSubmenuAndFocusToggle(submenu);
+        return;
+      }
+      
       this.hide();
       this._element.focus();
       return;
     }
     
-    if (event.key === KEYS.SPACE) {
-      this.toggle();
+    if (!isFromMenu) {
+      this._handleToggleKeydown(event);
       return;
     }
     
-    // Arrow navigation
-    if (!this._isShown()) {
-      this.show();
+    const menu = closest(event.target, SELECTORS.DROPDOWN_MENU);
+    const item = closest(event.target, 'li');
+    
+    if (event.key === KEYS.ENTER || event.key === KEYS.ARROW_RIGHT) {
+      // Submenu toggles open their submenu and move into it
+      if (item && hasClass(item, CLASSES.SUBMENU)) {
+        if (this._activateSubmenuPath(item)) {
+          this._focusItem(this._getSubmenuMenu(item), 'first');
+        }
+        return;
+      }
+      
+      // Activate the item (also covers links without href)
+      if (event.key === KEYS.ENTER) {
+        const link = closest(event.target, 'a');
+        if (link) link.click();
+      }
       return;
     }
     
-    const items = $$(SELECTORS.VISIBLE_ITEMS, this._menu);
-    if (items.length === 0) return;
+    if (event.key === KEYS.ARROW_LEFT) {
+      const submenu = this._getContainingSubmenu(event.target);
+      if (submenu) {
+        this._closeSubmenuAndFocusToggle(submenu);
+      }
+      return;
+    }
     
-    let index = items.indexOf(document.activeElement);
+    // Up/down/home/end move within the menu level that has focus
+    const target = {
+      [KEYS.HOME]: 'first',
+      [KEYS.END]: 'last',
+      [KEYS.ARROW_UP]: 'previous',
+      [KEYS.ARROW_DOWN]: 'next'
+    }[event.key];
+    
+    this._focusItem(menu, target);
+  }
+  
+  /**
+   * Handle keys pressed on the toggle (WAI-ARIA menu button)
+   * Space/Enter/ArrowDown open the menu on its first item, ArrowUp on its last.
+   * @param {KeyboardEvent} event 
+   * @private
+   */
+  _handleToggleKeydown(event) {
+    const isShown = this._isShown();
     
-    if (event.key === KEYS.ARROW_UP && index > 0) {
-      index--;
+    if (event.key === KEYS.SPACE || event.key === KEYS.ENTER) {
+      this.toggle();
+      if (!isShown && this._isShown()) {
+        this._focusItem(this._menu, 'first');
+      }
+      return;
     }
     
-    if (event.key === KEYS.ARROW_DOWN && index < items.length - 1) {
-      index++;
+    if (!isShown) {
+      this.toggle();
+      if (!this._isShown()) return;
+    }
+    
+    const target = {
+      [KEYS.HOME]: 'first',
+      [KEYS.END]: 'last',
+      [KEYS.ARROW_UP]: 'last',
+      [KEYS.ARROW_DOWN]: 'first'
+    }[event.key];
+    
+    this._focusItem(this._menu, target);
+  }
+  
+  /**
+   * Move focus within a menu level
+   * @param {Element} menu 
+   * @param {'first'|'last'|'previous'|'next'} target 
+   * @private
+   */
+  _focusItem(menu, target) {
+    if (!menu) return;
+    
+    const items = this._getItems(menu);
+    if (items.length === 0) return;
+    
+    const last = items.length - 1;
+    let index = items.indexOf(document.activeElement);
+    
+    switch (target) {
+      case 'first':
+        index = 0;
+        break;
+      case 'last':
+        index = last;
+        break;
+      case 'previous':
+        if (index > 0) {
+          index--;
+        } else if (this._options.wrap) {
+          index = last;
+        }
+        break;
+      case 'next':
+        if (index < last) {
+          index++;
+        } else if (this._options.wrap) {
+          index = 0;
+        }
+        break;
     }
     
     if (index < 0) index = 0;
@@ -297,6 +924,89 @@ class Dropdown {
     items[index].focus();
   }
   
+  /**
+   * Get visible, enabled items of a menu level
+   * @param {Element} menu 
+   * @returns {Element[]}
+   * @private
+   */
+  _getItems(menu) {
+    return $$(SELECTORS.MENU_ITEMS, menu).filter(item => item.getClientRects().length > 0);
+  }
+  
+  /**
+   * Check if key should be used for type-to-select
+   * @param {KeyboardEvent} event 
+   * @returns {boolean}
+   * @private
+   */
+  _isTypeaheadKey(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return false;
+    if (!event.key || event.key.length !== 1) return false;
+    
+    // Space only counts while a search is in progress
+    return event.key !== KEYS.SPACE || this._typeaheadBuffer !== '';
+  }
+  
+  /**
+   * Focus the next item whose text starts with the typed characters
+   * @param {string} char 
+   * @param {Element} menu 
+   * @private
+   */
+  _typeahead(char, menu) {
+    clearTimeout(this._typeaheadTimer);
+    this._typeaheadBuffer += char.toLowerCase();
+    this._typeaheadTimer = setTimeout(() => {
+      this._typeaheadBuffer = '';
+    }, this._options.typeaheadTimeout);
+    
+    const items = this._getItems(menu);
+    if (items.length === 0) return;
+    
+    // Repeating one character cycles through the items starting with it
+    const buffer = this._typeaheadBuffer;
+    const isRepeat = buffer.split('').every(c => c === buffer[0]);
+    const search = isRepeat ? buffer[0] : buffer;
+    
+    // A new single-character search starts after the current item,
+    // a longer search may keep matching the current one
+    const current = items.indexOf(document.activeElement);
+    const start = search.length === 1 ? current + 1 : Math.max(current, 0);
+    const ordered = [...items.slice(start), ...items.slice(0, start)];
+    
+    const match = ordered.find(item => item.textContent.trim().toLowerCase().startsWith(search));
+    if (match) {
+      match.focus();
+    }
+  }
+  
+  /**
+   * Close a submenu from the keyboard and return focus to its toggle
+   * @param {Element} submenu 
+   * @private
+   */
+  _closeSubmenuAndFocusToggle(submenu) {
+    if (this._hideSubmenu(submenu)) {
+      const toggle = this._getSubmenuToggle(submenu);
+      if (toggle) toggle.focus();
+    }
+  }
+  
+  /**
+   * Trigger custom event on a specific element
+   * @param {Element} element
+   * @param {string} eventType
+   * @param {Object} detail
+   * @returns {Event}
+   * @private
+   */
+  _triggerEventOn(element, eventType, detail = {}) {
+    const event = $.Event(eventType, detail);
+    $(element).trigger(event);
+    return event;
+  }
+  
   /**
    * Check if dropdown is shown
    * @returns {boolean}
@@ -316,7 +1026,7 @@ class Dropdown {
     // Don't look for specific classes - just use the direct parent
     const selector = getAttr(this._element, 'data-target');
     if (selector) {
-      return $(selector);
+      return $(selector)[0] || this._element.parentElement;
     }
     
     return this._element.parentElement;
@@ -329,7 +1039,7 @@ class Dropdown {
    */
   _getMenuElement() {
     if (this._parent) {
-      return $(SELECTORS.DROPDOWN_MENU, this._parent);
+      return $(SELECTORS.DROPDOWN_MENU, this._parent)[0] || null;
     }
     return null;
   }
@@ -405,18 +1115,23 @@ class Dropdown {
   }
   
   /**
-   * Handle keydown on dropdown
+   * Handle keydown on a toggle that has no instance yet (keydown data-api),
+   * so ArrowDown/Enter/Space open a menu that was never clicked
    * @param {KeyboardEvent} event 
    */
   static handleKeydown(event) {
     // Check if this is a dropdown-related key
-    if (![KEYS.ARROW_UP, KEYS.ARROW_DOWN, KEYS.ESCAPE].includes(event.key)) {
+    if (![KEYS.ARROW_UP, KEYS.ARROW_DOWN, KEYS.ARROW_LEFT, KEYS.ARROW_RIGHT,
+          KEYS.HOME, KEYS.END, KEYS.ENTER, KEYS.SPACE, KEYS.ESCAPE].includes(event.key)) {
       return;
     }
     
-    const toggle = event.target.closest(SELECTORS.DATA_TOGGLE);
+    const toggle = event.currentTarget || event.target.closest(SELECTORS.DATA_TOGGLE);
     if (!toggle) return;
     
+    // Existing instances handle keys through their own listener
+    if (Dropdown.getInstance(toggle)) return;
+    
     const instance = Dropdown.getOrCreateInstance(toggle);
     instance._handleKeydown(event);
   }
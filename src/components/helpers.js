@@ -105,11 +105,103 @@ export const fadeOut = (el, options = {}) => {
 // Reflow
 export const reflow = (el) => el.offsetHeight;
 
-// Utilities
-export const sanitizeHTML = (html) => {
-  const div = document.createElement('div');
-  div.textContent = html;
-  return div.innerHTML;
+// Sanitizer - allowlist based (same rules as Bootstrap 3.4.1 sanitizer.js)
+const URI_ATTRIBUTES = ['background', 'cite', 'href', 'itemtype', 'longdesc', 'poster', 'src', 'xlink:href'];
+const ARIA_ATTRIBUTE_PATTERN = /^aria-[\w-]*$/i;
+const EVENT_HANDLER_PATTERN = /^on/i;
+
+// Matches URLs without a scheme or with a scheme that doesn't execute script
+const SAFE_URL_PATTERN = /^(?:(?:https?|mailto|ftp|tel|file|sms):|[^#&/:?]*(?:[#/?]|$))/i;
+
+// Matches base64 data URLs for images, video and audio only
+const DATA_URL_PATTERN = /^data:(?:image\/(?:bmp|gif|jpeg|jpg|png|tiff|webp)|video\/(?:mpeg|mp4|ogg|webm)|audio\/(?:mp3|oga|ogg|opus));base64,[\d+/a-z]+=*$/i;
+
+export const DEFAULT_ALLOW_LIST = {
+  // Global attributes allowed on any supplied element below
+  '*': ['class', 'dir', 'id', 'lang', 'role', ARIA_ATTRIBUTE_PATTERN],
+  a: ['target', 'href', 'title', 'rel'],
+  area: [],
+  b: [],
+  br: [],
+  col: [],
+  code: [],
+  div: [],
+  em: [],
+  hr: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  i: [],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  li: [],
+  ol: [],
+  p: [],
+  pre: [],
+  s: [],
+  small: [],
+  span: [],
+  sub: [],
+  sup: [],
+  strong: [],
+  u: [],
+  ul: []
+};
+
+const isAllowedAttribute = (attr, allowedAttributes) => {
+  const name = attr.nodeName.toLowerCase();
+  
+  // Event handlers are never allowed, even if the allowlist says otherwise
+  if (EVENT_HANDLER_PATTERN.test(name)) return false;
+  
+  if (allowedAttributes.includes(name)) {
+    if (URI_ATTRIBUTES.includes(name)) {
+      // Strip whitespace and control characters browsers ignore in URLs ("java\tscript:")
+      const value = attr.nodeValue.replace(/[\u0000-\u0020\u007F-\u009F]/g, '');
+      return SAFE_URL_PATTERN.test(value) || DATA_URL_PATTERN.test(value);
+    }
+    return true;
+  }
+  
+  return allowedAttributes.some(allowed => allowed instanceof RegExp && allowed.test(name));
+};
+
+export const sanitizeHTML = (unsafeHtml, allowList = DEFAULT_ALLOW_LIST, sanitizeFn = null) => {
+  if (!unsafeHtml || unsafeHtml.length === 0) return unsafeHtml;
+  
+  if (typeof sanitizeFn === 'function') {
+    return sanitizeFn(unsafeHtml);
+  }
+  
+  // Parse in an inert document so nothing is fetched or executed
+  const doc = document.implementation.createHTMLDocument('sanitization');
+  doc.body.innerHTML = unsafeHtml;
+  
+  const allowedTags = Object.keys(allowList);
+  
+  for (const el of Array.from(doc.body.querySelectorAll('*'))) {
+    // Already detached together with a disallowed ancestor
+    if (!doc.body.contains(el)) continue;
+    
+    const tagName = el.nodeName.toLowerCase();
+    
+    if (!allowedTags.includes(tagName)) {
+      el.remove();
+      continue;
+    }
+    
+    const allowedAttributes = [...(allowList['*'] || []), ...(allowList[tagName] || [])];
+    
+    for (const attr of Array.from(el.attributes)) {
+      if (!isAllowedAttribute(attr, allowedAttributes)) {
+        el.removeAttribute(attr.nodeName);
+      }
+    }
+  }
+  
+  return doc.body.innerHTML;
 };
 
 export default {
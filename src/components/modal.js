@@ -7,7 +7,7 @@
 import $ from 'jqnext';
 import {
   setInstance, getInstance, removeInstance,
-  parseDataOptions, getUID, trapFocus, reflow
+  parseDataOptions, getUID, trapFocus, rememberFocus, reflow
 } from '../utils/index.js';
 
 // Constants
@@ -19,7 +19,9 @@ const DEFAULTS = {
   backdrop: true,
   keyboard: true,
   show: true,
-  focus: true
+  focus: true,
+  restoreFocus: true,
+  remote: false
 };
 
 const EVENTS = {
@@ -27,13 +29,15 @@ const EVENTS = {
   SHOWN: `shown${EVENT_KEY}`,
   HIDE: `hide${EVENT_KEY}`,
   HIDDEN: `hidden${EVENT_KEY}`,
-  LOADED: `loaded${EVENT_KEY}`
+  LOADED: `loaded${EVENT_KEY}`,
+  LOAD_ERROR: `loaderror${EVENT_KEY}`
 };
 
 const CLASSES = {
   SCROLLBAR_MEASURER: 'modal-scrollbar-measure',
   BACKDROP: 'modal-backdrop',
   OPEN: 'modal-open',
+  LOADING: 'modal-loading',
   FADE: 'fade',
   IN: 'in',
   SHOW: 'show'
@@ -41,6 +45,7 @@ const CLASSES = {
 
 const SELECTORS = {
   DIALOG: '.modal-dialog',
+  CONTENT: '.modal-content',
   MODAL_BODY: '.modal-body',
   DATA_TOGGLE: '[data-toggle="modal"]',
   DATA_DISMISS: '.presidecms [data-dismiss="modal"]',
@@ -50,6 +55,157 @@ const SELECTORS = {
 const TRANSITION_DURATION = 300;
 const BACKDROP_DURATION = 150;
 
+// z-index increment between stacked modals (modal and backdrop alike)
+const STACK_Z_INDEX_STEP = 20;
+
+/**
+ * Modal stack manager
+ * Tracks open modals so nested dialogs layer correctly. Only the topmost
+ * modal reacts to Escape and backdrop clicks, and the body stays locked
+ * until the last modal has closed.
+ */
+class ModalStack {
+  constructor() {
+    this._modals = [];
+    this._keydownHandler = null;
+    this._bodyLocked = false;
+    this._scrollbar = null;
+  }
+  
+  /**
+   * Number of open modals
+   * @returns {number}
+   */
+  get size() {
+    return this._modals.length;
+  }
+  
+  /**
+   * Topmost open modal
+   * @returns {Modal|null}
+   */
+  get top() {
+    return this._modals[this._modals.length - 1] || null;
+  }
+  
+  /**
+   * Check if modal is the topmost one
+   * @param {Modal} modal 
+   * @returns {boolean}
+   */
+  isTop(modal) {
+    return this.top === modal;
+  }
+  
+  /**
+   * Put modal on top of the stack
+   * @param {Modal} modal 
+   */
+  push(modal) {
+    if (this._modals.includes(modal)) return;
+    
+    // The modal underneath gives up its focus trap until it is on top again
+    const previous = this.top;
+    if (previous) {
+      previous._releaseFocusTrap();
+    }
+    
+    this._modals.push(modal);
+    modal._setStackLevel(this._modals.length - 1);
+    
+    if (this._modals.length === 1) {
+      this._bindKeyboard();
+    }
+  }
+  
+  /**
+   * Remove modal from the stack
+   * @param {Modal} modal 
+   */
+  remove(modal) {
+    const index = this._modals.indexOf(modal);
+    if (index === -1) return;
+    
+    const wasTop = index === this._modals.length - 1;
+    this._modals.splice(index, 1);
+    
+    // Re-layer the remaining modals
+    this._modals.forEach((item, level) => item._setStackLevel(level));
+    
+    if (!this._modals.length) {
+      this._unbindKeyboard();
+      return;
+    }
+    
+    if (wasTop) {
+      this.top._restoreFocusTrap();
+    }
+  }
+  
+  /**
+   * Add modal-open and scrollbar compensation for the first modal.
+   * Later modals reuse the measurements taken before the body was locked.
+   * @param {Modal} modal 
+   */
+  lockBody(modal) {
+    if (this._bodyLocked) {
+      modal._isBodyOverflowing = this._scrollbar.isBodyOverflowing;
+      modal._scrollbarWidth = this._scrollbar.width;
+      return;
+    }
+    
+    modal._checkScrollbar();
+    modal._setScrollbar();
+    $('body').addClass(CLASSES.OPEN);
+    
+    this._scrollbar = {
+      isBodyOverflowing: modal._isBodyOverflowing,
+      width: modal._scrollbarWidth
+    };
+    this._bodyLocked = true;
+  }
+  
+  /**
+   * Remove modal-open and scrollbar compensation once no modal is open
+   * @param {Modal} modal 
+   */
+  unlockBody(modal) {
+    if (!this._bodyLocked || this._modals.length) return;
+    
+    modal._resetScrollbar();
+    $('body').removeClass(CLASSES.OPEN);
+    
+    this._scrollbar = null;
+    this._bodyLocked = false;
+  }
+  
+  /**
+   * Single Escape handler routed to the topmost modal
+   * @private
+   */
+  _bindKeyboard() {
+    this._keydownHandler = (e) => {
+      const top = this.top;
+      if (e.key === 'Escape' && top && top._options.keyboard && top._isShown) {
+        e.preventDefault();
+        top.hide();
+      }
+    };
+    $(document).on('keydown', this._keydownHandler);
+  }
+  
+  /**
+   * Remove the Escape handler
+   * @private
+   */
+  _unbindKeyboard() {
+    $(document).off('keydown', this._keydownHandler);
+    this._keydownHandler = null;
+  }
+}
+
+const modalStack = new ModalStack();
+
 /**
  * Modal Class
  * Provides modal dialog functionality
@@ -74,6 +230,10 @@ class Modal {
     this._isTransitioning = false;
     this._scrollbarWidth = 0;
     this._focusTrap = null;
+    this._focusReturn = null;
+    this._loadController = null;
+    this._isLoaded = false;
+    this._stackLevel = 0;
     
     // Parse options
     this._options = {
@@ -87,6 +247,11 @@ class Modal {
     
     // Store instance
     setInstance(this._element, DATA_KEY, this);
+    
+    // Load remote content (Bootstrap 3 behavior)
+    if (this._options.remote) {
+      this.load(this._options.remote);
+    }
   }
   
   /**
@@ -127,19 +292,32 @@ class Modal {
     this._isShown = true;
     this._isTransitioning = true;
     
-    // Check scrollbar and add padding
-    this._checkScrollbar();
-    this._setScrollbar();
+    // Retry remote content cancelled by an earlier hide()
+    if (this._options.remote && !this._isLoaded && !this._loadController) {
+      this.load(this._options.remote);
+    }
     
-    // Add modal-open class to body using JQNext
-    $('body').addClass(CLASSES.OPEN);
+    // Remember the invoking element so focus can go back to it on hide
+    if (this._options.restoreFocus) {
+      this._focusReturn = rememberFocus(relatedTarget);
+    }
+    
+    // Join the modal stack (raises z-index above any open modal)
+    modalStack.push(this);
+    
+    // Check scrollbar, add padding and modal-open class (first modal only)
+    modalStack.lockBody(this);
     
     // Set up modal
-    this._escape();
     this._resize();
     
     // Dismiss button handler using JQNext event delegation
-    this.$element.on('click', SELECTORS.DATA_DISMISS, () => this.hide());
+    // Ignore dismiss buttons that belong to a modal nested inside this one
+    this.$element.on('click', SELECTORS.DATA_DISMISS, (e) => {
+      if ($(e.currentTarget).closest('.modal')[0] === this._element) {
+        this.hide();
+      }
+    });
     
     // Backdrop click handler
     this.$dialog.on('mousedown', () => {
@@ -156,8 +334,8 @@ class Modal {
     
     this._isTransitioning = false;
     
-    // Focus management
-    if (this._options.focus) {
+    // Focus management (a modal opened on top of this one owns the focus)
+    if (this._options.focus && modalStack.isTop(this)) {
       this._element.focus();
       this._focusTrap = trapFocus(this._element);
     }
@@ -179,14 +357,14 @@ class Modal {
     this._isShown = false;
     this._isTransitioning = true;
     
+    // Cancel any in-flight remote request
+    this._abortLoad();
+    
     // Clean up focus trap
-    if (this._focusTrap) {
-      this._focusTrap();
-      this._focusTrap = null;
-    }
+    this._releaseFocusTrap();
     
-    // Remove escape handler
-    $(document).off('keydown', this._escapeHandler);
+    // Leave the stack so Escape and focus go to the modal underneath
+    modalStack.remove(this);
     
     // Remove resize handler
     $(window).off('resize', this._resizeHandler);
@@ -202,6 +380,14 @@ class Modal {
     
     this._isTransitioning = false;
     
+    // Return focus to the invoking element, unless a modal still open
+    // underneath has taken it somewhere else
+    if (this._focusReturn) {
+      const top = modalStack.top;
+      this._focusReturn(top ? top._element : this._element);
+      this._focusReturn = null;
+    }
+    
     // Dispatch hidden event
     this._triggerEvent(EVENTS.HIDDEN);
   }
@@ -213,6 +399,71 @@ class Modal {
     this._adjustDialog();
   }
   
+  /**
+   * Load remote HTML into .modal-content
+   * @param {string} url - URL to fetch
+   * @param {Object} [options] - Request options
+   * @param {string} [options.method='GET'] - HTTP method
+   * @param {*} [options.body] - Request body
+   * @param {Object} [options.headers] - Extra request headers
+   * @returns {Promise<boolean>} Resolves true once the content is injected
+   */
+  async load(url, { method = 'GET', body = null, headers = {} } = {}) {
+    const content = this.$element.find(SELECTORS.CONTENT)[0];
+    if (!url || !content) return false;
+    
+    // Only one request at a time - the latest wins
+    this._abortLoad();
+    
+    const controller = new AbortController();
+    this._loadController = controller;
+    
+    this.$element.addClass(CLASSES.LOADING).attr('aria-busy', 'true');
+    
+    try {
+      const response = await fetch(url, {
+        method,
+        body,
+        headers: { 'X-Requested-With': 'XMLHttpRequest', ...headers },
+        credentials: 'same-origin',
+        signal: controller.signal
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+      }
+      
+      const html = await response.text();
+      
+      // Request was superseded while reading the body
+      if (controller.signal.aborted) return false;
+      
+      // Use JQNext html() so inline scripts run like jQuery's load()
+      $(content).html(html);
+      this._isLoaded = true;
+      
+      if (this._isShown) {
+        this._adjustDialog();
+      }
+      
+      this._triggerEvent(EVENTS.LOADED, { remote: url });
+      return true;
+    } catch (error) {
+      // Cancelled by hide(), dispose() or a newer load()
+      if (error.name === 'AbortError') return false;
+      
+      this._triggerEvent(EVENTS.LOAD_ERROR, { remote: url, error });
+      return false;
+    } finally {
+      if (this._loadController === controller) {
+        this._loadController = null;
+        if (this._element) {
+          this.$element.removeClass(CLASSES.LOADING).removeAttr('aria-busy');
+        }
+      }
+    }
+  }
+  
   /**
    * Destroy the modal instance
    */
@@ -220,13 +471,20 @@ class Modal {
     // Remove event listeners using JQNext
     this.$element.off('click');
     this.$dialog.off('mousedown');
-    $(document).off('keydown', this._escapeHandler);
     $(window).off('resize', this._resizeHandler);
     
+    // Leave the stack and release the body if this was the last modal
+    modalStack.remove(this);
+    modalStack.unlockBody(this);
+    
+    // Cancel pending remote request
+    this._abortLoad();
+    
     // Remove focus trap
     if (this._focusTrap) {
       this._focusTrap();
     }
+    this._focusReturn = null;
     
     // Remove backdrop
     if (this._backdrop) {
@@ -254,12 +512,24 @@ class Modal {
         this._ignoreBackdropClick = false;
         return;
       }
-      if (this._options.backdrop === true) {
+      if (this._options.backdrop === true && modalStack.isTop(this)) {
         this.hide();
       }
     });
   }
   
+  /**
+   * Abort the in-flight remote request, if any
+   * @private
+   */
+  _abortLoad() {
+    if (this._loadController) {
+      this._loadController.abort();
+      this._loadController = null;
+      this.$element.removeClass(CLASSES.LOADING).removeAttr('aria-busy');
+    }
+  }
+  
   /**
    * Show backdrop
    * @returns {Promise}
@@ -276,10 +546,11 @@ class Modal {
       }
       
       this.$backdrop.appendTo('body');
+      this._applyStackLevel();
       
       // Click handler for backdrop
       this.$backdrop.on('click', () => {
-        if (this._options.backdrop !== 'static') {
+        if (this._options.backdrop !== 'static' && modalStack.isTop(this)) {
           this.hide();
         }
       });
@@ -335,9 +606,8 @@ class Modal {
       .removeAttr('aria-modal')
       .removeAttr('role');
     
-    // Reset scrollbar
-    this._resetScrollbar();
-    $('body').removeClass(CLASSES.OPEN);
+    // Reset scrollbar and modal-open once no other modal is open
+    modalStack.unlockBody(this);
     
     // Remove backdrop
     if (this.$backdrop) {
@@ -354,21 +624,58 @@ class Modal {
   }
   
   /**
-   * Set up escape key handler
+   * Set position in the modal stack
+   * @param {number} level - 0 for the bottom modal
    * @private
    */
-  _escape() {
-    if (this._options.keyboard) {
-      this._escapeHandler = (e) => {
-        if (e.key === 'Escape' && this._isShown) {
-          e.preventDefault();
-          this.hide();
-        }
-      };
-      $(document).on('keydown', this._escapeHandler);
+  _setStackLevel(level) {
+    this._stackLevel = level;
+    this._applyStackLevel();
+  }
+  
+  /**
+   * Raise modal and backdrop z-index according to stack level
+   * @private
+   */
+  _applyStackLevel() {
+    const offset = this._stackLevel * STACK_Z_INDEX_STEP;
+    
+    for (const element of [this._element, this._backdrop]) {
+      if (!element) continue;
+      
+      // Measure the stylesheet value, then offset it
+      element.style.zIndex = '';
+      if (offset) {
+        const base = parseInt(getComputedStyle(element).zIndex, 10) || 0;
+        element.style.zIndex = `${base + offset}`;
+      }
     }
   }
   
+  /**
+   * Remove focus trap
+   * @private
+   */
+  _releaseFocusTrap() {
+    if (this._focusTrap) {
+      this._focusTrap();
+      this._focusTrap = null;
+    }
+  }
+  
+  /**
+   * Re-trap focus when this modal becomes topmost again
+   * @private
+   */
+  _restoreFocusTrap() {
+    if (!this._options.focus || !this._isShown || this._focusTrap) return;
+    
+    if (!this._element.contains(document.activeElement)) {
+      this._element.focus();
+    }
+    this._focusTrap = trapFocus(this._element);
+  }
+  
   /**
    * Set up resize handler
    * @private
@@ -429,10 +736,12 @@ class Modal {
    */
   _setScrollbar() {
     if (this._isBodyOverflowing) {
-      // Save original padding
-      this._originalPadding = document.body.style.paddingRight;
+      const scrollbarWidth = this._scrollbarWidth;
+      
+      // Save original padding (on the element, so any modal in the stack can reset it)
+      document.body.dataset.paddingRight = document.body.style.paddingRight;
       const computedPadding = parseFloat(getComputedStyle(document.body).paddingRight);
-      document.body.style.paddingRight = `${computedPadding + this._scrollbarWidth}px`;
+      document.body.style.paddingRight = `${computedPadding + scrollbarWidth}px`;
       
       // Fixed elements using JQNext
       $(SELECTORS.FIXED_CONTENT).each(function() {
@@ -440,7 +749,7 @@ class Modal {
         const actualPadding = element.style.paddingRight;
         const calculatedPadding = parseFloat(getComputedStyle(element).paddingRight);
         element.dataset.paddingRight = actualPadding;
-        element.style.paddingRight = `${calculatedPadding + this._scrollbarWidth}px`;
+        element.style.paddingRight = `${calculatedPadding + scrollbarWidth}px`;
       });
     }
   }
@@ -450,7 +759,8 @@ class Modal {
    * @private
    */
   _resetScrollbar() {
-    document.body.style.paddingRight = this._originalPadding || '';
+    document.body.style.paddingRight = document.body.dataset.paddingRight || '';
+    delete document.body.dataset.paddingRight;
     
     $(SELECTORS.FIXED_CONTENT).each(function() {
       const element = this;
@@ -558,6 +868,14 @@ class Modal {
     instance.toggle(trigger);
   }
   
+  /**
+   * Get the topmost open modal
+   * @returns {Modal|null}
+   */
+  static getTopModal() {
+    return modalStack.top;
+  }
+  
   /**
    * Version
    */
@@ -6,14 +6,13 @@
 
 import $ from 'jqnext';
 import {
-  createFromHTML,
   setInstance, getInstance, removeInstance,
-  parseDataOptions, getUID
+  getUID, rememberFocus
 } from '../utils/index.js';
 
 import {
   $1 as $1Helper, hasClass, addClass, removeClass,
-  getAttr, setAttr, removeAttr, sanitizeHTML
+  getAttr, setAttr, removeAttr
 } from './helpers.js';
 
 import Tooltip from './tooltip.js';
@@ -28,6 +27,10 @@ const DEFAULTS = {
   placement: 'right',
   trigger: 'click',
   content: '',
+  restoreFocus: true,
+  remote: false,
+  cache: true,
+  loadingTemplate: '<div class="popover-loader" role="status">Loading&hellip;</div>',
   template: '<div class="popover" role="tooltip"><div class="arrow"></div><h3 class="popover-title"></h3><div class="popover-content"></div></div>'
 };
 
@@ -36,7 +39,9 @@ const EVENTS = {
   SHOWN: `shown${EVENT_KEY}`,
   HIDE: `hide${EVENT_KEY}`,
   HIDDEN: `hidden${EVENT_KEY}`,
-  INSERTED: `inserted${EVENT_KEY}`
+  INSERTED: `inserted${EVENT_KEY}`,
+  LOADED: `loaded${EVENT_KEY}`,
+  LOAD_ERROR: `loaderror${EVENT_KEY}`
 };
 
 const CLASSES = {
@@ -46,7 +51,8 @@ const CLASSES = {
   TOP: 'top',
   RIGHT: 'right',
   BOTTOM: 'bottom',
-  LEFT: 'left'
+  LEFT: 'left',
+  LOADING: 'popover-loading'
 };
 
 const SELECTORS = {
@@ -55,6 +61,13 @@ const SELECTORS = {
   ARROW: '.arrow'
 };
 
+/**
+ * Check if value is a Promise (or any thenable)
+ * @param {*} value 
+ * @returns {boolean}
+ */
+const isThenable = value => !!value && typeof value.then === 'function';
+
 /**
  * Popover Class
  * Extends Tooltip with title and content support
@@ -74,44 +87,35 @@ class Popover extends Tooltip {
     // Store jQuery reference
     this.$element = $(this._element);
     
+    this._focusReturn = null;
+    
+    // Async title/content: values for the current show, cached results and
+    // a token that changes on hide so late responses can be discarded
+    this._values = {};
+    this._cache = new Map();
+    this._loadToken = 0;
+    this._loadController = null;
+    
     // Re-store with popover data key
     removeInstance(this._element, Tooltip.DATA_KEY);
     setInstance(this._element, DATA_KEY, this);
   }
   
-  /**
-   * Get tip element
-   * @returns {Element}
-   */
-  get tip() {
-    if (!this._tip) {
-      this._tip = createFromHTML(this._options.template);
-    }
-    return this._tip;
-  }
-  
   /**
    * Destroy popover instance
    */
   dispose() {
-    // Remove event listeners
-    this._removeListeners();
-    
-    // Clean up auto-update
-    if (this._cleanupAutoUpdate) {
-      this._cleanupAutoUpdate();
-    }
+    // Cancel pending loads
+    this._cancelLoad();
+    this._cache.clear();
     
-    // Remove tip
-    if (this._tip && this._tip.parentNode) {
-      this._tip.parentNode.removeChild(this._tip);
-    }
-    
-    // Clean up instance
+    // Popovers are stored under their own data key
     removeInstance(this._element, DATA_KEY);
-    this._element = null;
-    this._options = null;
-    this._tip = null;
+    this._focusReturn = null;
+    
+    // Timers, cursor following, listeners, delegates and the tip (leaving
+    // its group if it has one)
+    super.dispose();
   }
   
   // Private methods (override parent)
@@ -124,10 +128,11 @@ class Popover extends Tooltip {
    */
   _getOptions(options) {
     const defaults = this.constructor.DEFAULTS || DEFAULTS;
-    const dataOptions = parseDataOptions(this._element, defaults);
+    const dataOptions = this._getDataOptions(defaults);
     
     // Get title from data attribute or title attribute
-    if (!options.title && !dataOptions.title) {
+    // (a delegating container keeps its own title)
+    if (!options.title && !dataOptions.title && !options.selector && !dataOptions.selector) {
       dataOptions.title = getAttr(this._element, 'data-original-title') ||
                           getAttr(this._element, 'title') || '';
       
@@ -143,11 +148,18 @@ class Popover extends Tooltip {
       dataOptions.content = getAttr(this._element, 'data-content') || '';
     }
     
-    return {
+    const config = {
       ...defaults,
       ...dataOptions,
       ...options
     };
+    
+    if (config.sanitize) {
+      config.template = this._sanitize(config.template, config);
+      config.loadingTemplate = this._sanitize(config.loadingTemplate, config);
+    }
+    
+    return config;
   }
   
   /**
@@ -156,13 +168,7 @@ class Popover extends Tooltip {
    * @private
    */
   _getTitle() {
-    let title = this._options.title;
-    
-    if (typeof title === 'function') {
-      title = title.call(this._element);
-    }
-    
-    return title ? String(title) : '';
+    return this._getValue('title');
   }
   
   /**
@@ -171,13 +177,164 @@ class Popover extends Tooltip {
    * @private
    */
   _getContent() {
-    let content = this._options.content;
+    return this._getValue('content');
+  }
+  
+  /**
+   * Get title or content for the current show
+   * (empty while it is still loading)
+   * @param {string} key - 'title' or 'content'
+   * @returns {string}
+   * @private
+   */
+  _getValue(key) {
+    if (this._cache.has(key)) {
+      return this._cache.get(key);
+    }
+    
+    const value = key in this._values ? this._values[key] : this._getSource(key);
+    
+    if (value === null || isThenable(value)) return '';
+    
+    return value ? String(value) : '';
+  }
+  
+  /**
+   * Read title or content option, calling it if it is a function
+   * @param {string} key - 'title' or 'content'
+   * @returns {*} - String, Promise, or null when content comes from the remote URL
+   * @private
+   */
+  _getSource(key) {
+    if (key === 'content' && this._options.remote) {
+      return null;
+    }
     
-    if (typeof content === 'function') {
-      content = content.call(this._element);
+    let value = this._options[key];
+    
+    if (typeof value === 'function') {
+      value = value.call(this._element);
     }
     
-    return content ? String(content) : '';
+    return value;
+  }
+  
+  /**
+   * Resolve title and content for this show, starting async loads
+   * for promises and the remote URL (unless cached)
+   * @private
+   */
+  _prepareContent() {
+    const token = this._loadToken;
+    this._values = {};
+    
+    for (const key of ['title', 'content']) {
+      if (this._cache.has(key)) continue;
+      
+      const value = this._getSource(key);
+      this._values[key] = value;
+      
+      if (value === null) {
+        this._loadPart(key, this._fetchRemote(this._options.remote), token);
+      } else if (isThenable(value)) {
+        this._loadPart(key, value, token);
+      }
+    }
+  }
+  
+  /**
+   * Fetch remote content
+   * @param {string} url 
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _fetchRemote(url) {
+    const controller = new AbortController();
+    this._loadController = controller;
+    
+    try {
+      const response = await fetch(url, {
+        headers: { 'X-Requested-With': 'XMLHttpRequest' },
+        credentials: 'same-origin',
+        signal: controller.signal
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+      }
+      
+      return await response.text();
+    } finally {
+      if (this._loadController === controller) {
+        this._loadController = null;
+      }
+    }
+  }
+  
+  /**
+   * Wait for an async title or content and put it in the popover
+   * @param {string} key - 'title' or 'content'
+   * @param {Promise} promise 
+   * @param {number} token - Load token at the time the load started
+   * @returns {Promise}
+   * @private
+   */
+  async _loadPart(key, promise, token) {
+    let value;
+    let error = null;
+    
+    try {
+      value = await promise;
+    } catch (e) {
+      error = e;
+    }
+    
+    // Closed (or disposed) meanwhile - the response is stale
+    if (!this._element || token !== this._loadToken) return;
+    
+    const text = error || value === null || value === undefined ? '' : String(value);
+    
+    if (!error && this._options.cache) {
+      this._cache.set(key, text);
+    }
+    this._values[key] = text;
+    
+    const tip = this._tip;
+    if (this._isTipAttached()) {
+      this._setContent(tip);
+      await this.update();
+    }
+    
+    const detail = { relatedTarget: tip, remote: key === 'content' ? this._options.remote || null : null };
+    
+    if (error) {
+      this._triggerEvent(EVENTS.LOAD_ERROR, { ...detail, error });
+    } else {
+      this._triggerEvent(EVENTS.LOADED, detail);
+    }
+  }
+  
+  /**
+   * Check if title or content is still loading
+   * @returns {boolean}
+   * @private
+   */
+  _isLoading() {
+    return Object.values(this._values).some(value => value === null || isThenable(value));
+  }
+  
+  /**
+   * Discard pending loads and abort the remote request
+   * @private
+   */
+  _cancelLoad() {
+    this._loadToken++;
+    this._values = {};
+    
+    if (this._loadController) {
+      this._loadController.abort();
+      this._loadController = null;
+    }
   }
   
   /**
@@ -186,42 +343,49 @@ class Popover extends Tooltip {
    * @param {string} title 
    * @private
    */
-  _setContent(tip, title) {
+  _setContent(tip) {
     const titleEl = $1Helper(SELECTORS.TITLE, tip);
     const contentEl = $1Helper(SELECTORS.CONTENT, tip);
+    const isLoading = this._isLoading();
     
     // Set title
     if (titleEl) {
       const titleText = this._getTitle();
       if (titleText) {
-        if (this._options.html) {
-          if (this._options.sanitize) {
-            titleEl.innerHTML = sanitizeHTML(titleText);
-          } else {
-            titleEl.innerHTML = titleText;
-          }
-        } else {
-          titleEl.textContent = titleText;
-        }
+        this._setElementContent(titleEl, titleText);
+        titleEl.style.display = '';
       } else {
         // Hide title if empty
         titleEl.style.display = 'none';
       }
     }
     
-    // Set content
+    // Set content (loading template is trusted and sanitized like template)
     if (contentEl) {
       const content = this._getContent();
-      if (this._options.html) {
-        if (this._options.sanitize) {
-          contentEl.innerHTML = sanitizeHTML(content);
-        } else {
-          contentEl.innerHTML = content;
-        }
+      if (!content && isLoading) {
+        contentEl.innerHTML = this._options.loadingTemplate;
       } else {
-        contentEl.textContent = content;
+        this._setElementContent(contentEl, content);
       }
     }
+    
+    if (isLoading) {
+      addClass(tip, CLASSES.LOADING);
+      setAttr(tip, 'aria-busy', 'true');
+    } else {
+      removeClass(tip, CLASSES.LOADING);
+      removeAttr(tip, 'aria-busy');
+    }
+  }
+  
+  /**
+   * Get arrow element of tip
+   * @returns {Element|null}
+   * @private
+   */
+  _getArrowElement() {
+    return $1Helper(SELECTORS.ARROW, this.tip);
   }
   
   /**
@@ -230,32 +394,90 @@ class Popover extends Tooltip {
    * @private
    */
   _hasContent() {
-    return this._getTitle() || this._getContent();
+    return !!(this._getTitle() || this._getContent() || this._isLoading());
+  }
+  
+  /**
+   * Check if the tip is in the document for this popover, a shared group
+   * tip attached for another member doesn't count
+   * @returns {boolean}
+   * @private
+   */
+  _isTipAttached() {
+    if (!this._tip || !this._tip.parentNode) return false;
+    return !this._group || this._group.active === this;
   }
   
   /**
-   * Show popover (override to check content)
+   * Show popover (override to check content and start async loads)
    */
   async show() {
+    // Already open - keep the content that is there
+    if (!this._isTipAttached()) {
+      // Loads of an earlier show (not cancelled when the group tip moved on) are stale
+      this._cancelLoad();
+      this._prepareContent();
+    }
+    
     if (!this._hasContent()) {
       return;
     }
     
+    // Click-triggered popovers behave like dialogs: remember the invoker
+    if (this._options.restoreFocus && this._hasClickTrigger() && !this._focusReturn) {
+      this._focusReturn = rememberFocus(this._element);
+    }
+    
     await super.show();
   }
   
+  /**
+   * Hide popover (override to restore focus)
+   */
+  async hide() {
+    await super.hide();
+    
+    // Tip is only detached once the hide actually happened
+    if (!this._tip || this._tip.parentNode) return;
+    
+    // Responses arriving from now on are stale
+    this._cancelLoad();
+    
+    if (this._focusReturn) {
+      this._focusReturn(this._tip);
+      this._focusReturn = null;
+    }
+  }
+  
+  /**
+   * Clear cached async title and content (loaded again on next show)
+   */
+  clearCache() {
+    this._cache.clear();
+  }
+  
+  /**
+   * Check if popover is opened by click
+   * @returns {boolean}
+   * @private
+   */
+  _hasClickTrigger() {
+    return this._triggers.includes('click');
+  }
+  
   /**
    * Trigger custom event
    * @param {string} eventType
+   * @param {Object} [detail] - Extra event properties
    * @returns {Event}
    * @private
    */
-  _triggerEvent(eventType) {
+  _triggerEvent(eventType, detail = {}) {
     // Map tooltip events to popover events
     const popoverEventType = eventType.replace('.bs.tooltip', EVENT_KEY);
     
     // Use JQNext trigger for proper namespace handling
-    const event = $.Event(popoverEventType);
+    const event = $.Event(popoverEventType, detail);
     this.$element.trigger(event);
     return event;
   }
@@ -5,13 +5,15 @@
 
 import $ from 'jqnext';
 import {
-  setInstance, getInstance, removeInstance
+  setInstance, getInstance, removeInstance,
+  parseDataOptions, getUID, isDisabled,
+  getPersistedState, setPersistedState
 } from '../utils/index.js';
 
 import {
   $1 as $1Helper, $$, closest, parent, children, siblings,
   hasClass, addClass, removeClass,
-  getAttr, setAttr,
+  getAttr, setAttr, removeAttr,
   trigger, on, off,
   fadeIn, fadeOut, reflow
 } from './helpers.js';
@@ -21,11 +23,26 @@ const NAME = 'tab';
 const DATA_KEY = 'bs.tab';
 const EVENT_KEY = `.bs.${NAME}`;
 
+const DEFAULTS = {
+  activation: 'auto',
+  tabHistory: 'none',
+  tabHistoryKey: null,
+  remote: false,
+  remoteReload: false,
+  awaitRemote: true,
+  loadingTemplate: '<div class="tab-loader" role="status">Loading&hellip;</div>',
+  persist: null
+};
+
+const HISTORY_MODES = ['hash', 'query'];
+
 const EVENTS = {
   SHOW: `show${EVENT_KEY}`,
   SHOWN: `shown${EVENT_KEY}`,
   HIDE: `hide${EVENT_KEY}`,
-  HIDDEN: `hidden${EVENT_KEY}`
+  HIDDEN: `hidden${EVENT_KEY}`,
+  LOADED: `loaded${EVENT_KEY}`,
+  LOAD_ERROR: `loaderror${EVENT_KEY}`
 };
 
 const CLASSES = {
@@ -33,7 +50,8 @@ const CLASSES = {
   ACTIVE: 'active',
   DISABLED: 'disabled',
   FADE: 'fade',
-  IN: 'in'
+  IN: 'in',
+  LOADING: 'tab-loading'
 };
 
 const SELECTORS = {
@@ -43,12 +61,148 @@ const SELECTORS = {
   ACTIVE: '.active',
   ACTIVE_UL: '> li > .active',
   ACTIVE_CHILD: '> .active',
-  DATA_TOGGLE_CHILD: '> li > [data-toggle="tab"], > li > [data-toggle="pill"], > [data-toggle="tab"], > [data-toggle="pill"]'
+  DATA_TOGGLE_CHILD: '> li > [data-toggle="tab"], > li > [data-toggle="pill"], > [data-toggle="tab"], > [data-toggle="pill"]',
+  TAB_TOGGLE: '[data-toggle$="tab"], [data-toggle$="pill"]',
+  DROPDOWN_MENU: '.dropdown-menu',
+  DROPDOWN_TOGGLE: '.dropdown-toggle',
+  TAB_HISTORY: '[data-tab-history]',
+  NAV_ITEMS: ':scope > li > a, :scope > li > button, :scope > a, :scope > button'
+};
+
+const KEYS = {
+  ENTER: 'Enter',
+  SPACE: ' ',
+  HOME: 'Home',
+  END: 'End',
+  ARROW_LEFT: 'ArrowLeft',
+  ARROW_RIGHT: 'ArrowRight'
 };
 
 // Static transitioning state per nav container
 const transitioningContainers = new WeakSet();
 
+// Navs whose persisted tab has already been restored
+const restoredLists = new WeakSet();
+
+// Navs whose active tab is kept in the URL, mapped to the tab that was
+// active initially (shown again when the URL no longer names one)
+const historyLists = new Map();
+
+/**
+ * Set an attribute unless the markup already provides it
+ * @param {Element} element 
+ * @param {string} attr 
+ * @param {string} value 
+ */
+function setDefaultAttr(element, attr, value) {
+  if (!element.hasAttribute(attr)) {
+    setAttr(element, attr, value);
+  }
+}
+
+/**
+ * Resolve the pane controlled by a tab
+ * @param {Element} tab 
+ * @returns {Element|null}
+ */
+function getTarget(tab) {
+  const href = getAttr(tab, 'href');
+  const selector = getAttr(tab, 'data-target') || (href && href.replace(/.*(?=#[^\s]*$)/, ''));
+  
+  if (!selector || selector === '#') return null;
+  
+  try {
+    return $1Helper(selector);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the tab parameters stored in a URL. In hash mode a plain
+ * fragment (#pane-id) is not a parameter list and reads as empty.
+ * @param {URL} url 
+ * @param {'hash'|'query'} mode 
+ * @returns {URLSearchParams}
+ */
+function getHistoryParams(url, mode) {
+  if (mode === 'query') return url.searchParams;
+  
+  const hash = url.hash.slice(1);
+  return new URLSearchParams(hash.includes('=') ? hash : '');
+}
+
+/**
+ * Get the tabs belonging to a nav, including those in its dropdowns
+ * but not those of nested navs
+ * @param {Element} list 
+ * @returns {Element[]}
+ */
+function getListTabs(list) {
+  return $$(SELECTORS.TAB_TOGGLE, list).filter(tab => closest(tab, SELECTORS.NAV_LIST_GROUP) === list);
+}
+
+/**
+ * Get the items of a nav that take part in arrow key navigation:
+ * its tabs, plus the toggles of dropdowns holding further tabs
+ * @param {Element} list 
+ * @returns {Element[]}
+ */
+function getNavItems(list) {
+  return $$(SELECTORS.NAV_ITEMS, list).filter(item =>
+    item.matches(SELECTORS.TAB_TOGGLE) || item.matches(SELECTORS.DROPDOWN_TOGGLE)
+  );
+}
+
+/**
+ * @param {Element} item 
+ * @returns {boolean}
+ */
+function isNavItemDisabled(item) {
+  const parentLi = item.parentElement;
+  return isDisabled(item) || (parentLi.tagName === 'LI' && hasClass(parentLi, CLASSES.DISABLED));
+}
+
+/**
+ * @param {Element} item 
+ * @returns {boolean}
+ */
+function isNavItemActive(item) {
+  const parentLi = item.parentElement;
+  return hasClass(item, CLASSES.ACTIVE) || (parentLi.tagName === 'LI' && hasClass(parentLi, CLASSES.ACTIVE));
+}
+
+/**
+ * Apply tablist roles, selection state and the roving tabindex to a nav.
+ * Tabs inside a dropdown menu keep the dropdown's menu semantics; the
+ * dropdown toggle stands in for them in the tab order.
+ * @param {Element} list 
+ */
+function updateTabList(list) {
+  setDefaultAttr(list, 'role', 'tablist');
+  
+  const items = getNavItems(list);
+  const enabledItems = items.filter(item => !isNavItemDisabled(item));
+  const current = enabledItems.find(isNavItemActive) || enabledItems[0];
+  
+  for (const item of items) {
+    if (item.parentElement.tagName === 'LI') {
+      setDefaultAttr(item.parentElement, 'role', 'presentation');
+    }
+    
+    if (item.matches(SELECTORS.TAB_TOGGLE)) {
+      setDefaultAttr(item, 'role', 'tab');
+      setAttr(item, 'aria-selected', isNavItemActive(item).toString());
+    }
+    
+    if (isNavItemDisabled(item)) {
+      setAttr(item, 'aria-disabled', 'true');
+    }
+    
+    setAttr(item, 'tabindex', item === current ? '0' : '-1');
+  }
+}
+
 /**
  * Tab Class
  * Provides tab and pill navigation functionality
@@ -57,15 +211,39 @@ class Tab {
   /**
    * Create a Tab instance
    * @param {Element} element - The tab trigger element
+   * @param {Object} [options] - Tab options
    */
-  constructor(element) {
+  constructor(element, options = {}) {
     this.$element = $(element);
     this._element = this.$element[0];
     
     if (!this._element) return;
     
+    this._options = this._getOptions(options);
+    this._isLoaded = false;
+    this._loadController = null;
+    
     // Store instance
     setInstance(this._element, DATA_KEY, this);
+    
+    this._initAria();
+    
+    if (this._options.persist) {
+      this._restorePersistedTab();
+    }
+    
+    // The initially active tab's remote pane loads straight away
+    const target = getTarget(this._element);
+    if (target && this._options.remote && isNavItemActive(this._element)) {
+      this._load(target);
+    }
+    
+    if (HISTORY_MODES.includes(this._options.tabHistory)) {
+      const listElement = closest(this._element, SELECTORS.NAV_LIST_GROUP);
+      if (listElement && !historyLists.has(listElement)) {
+        historyLists.set(listElement, getListTabs(listElement).find(isNavItemActive) || null);
+      }
+    }
   }
   
   /**
@@ -84,7 +262,6 @@ class Tab {
     
     // Check if already active or disabled
     const listElement = closest(this._element, SELECTORS.NAV_LIST_GROUP);
-    const targetSelector = getAttr(this._element, 'data-target') || getAttr(this._element, 'href');
     
     // Prevent concurrent transitions on the same nav container
     if (listElement && transitioningContainers.has(listElement)) {
@@ -139,6 +316,17 @@ class Tab {
       if (hideEvent.defaultPrevented) return;
     }
     
+    // Tabs shown from the URL must not add history entries of their own
+    const updateUrl = !this._isSyncingUrl;
+    
+    // Cancel remote loads of the tabs being switched away from
+    if (listElement) {
+      for (const tab of getListTabs(listElement)) {
+        const instance = Tab.getInstance(tab);
+        if (instance && instance !== this) instance._abortLoad();
+      }
+    }
+    
     // Lock the container
     if (listElement) {
       transitioningContainers.add(listElement);
@@ -148,29 +336,61 @@ class Tab {
     this._activate(this._element, listElement, false);
     
     // Activate the pane
-    const target = targetSelector ? $1Helper(targetSelector) : null;
+    const target = getTarget(this._element);
     if (target) {
       const container = target.parentElement;
       this._activate(target, container, true);
     }
     
+    // Fetch remote pane content (first show only unless remoteReload)
+    const loading = target && this._options.remote && (!this._isLoaded || this._options.remoteReload)
+      ? this._load(target)
+      : null;
+    
+    const complete = (settled = true) => {
+      // Disposed meanwhile
+      if (!this._element) return;
+      
+      // Cancelled load, or another tab was chosen meanwhile: shown still pairs
+      // with show, flagged stale, but the URL and persisted state are left alone
+      const stale = !settled || !isNavItemActive(this._element);
+      
+      // Dispatch shown event
+      this._triggerEvent(EVENTS.SHOWN, {
+        relatedTarget: previousTab,
+        stale
+      });
+      
+      if (stale) return;
+      
+      if (updateUrl) {
+        this._updateUrl();
+      }
+      
+      if (this._options.persist && target && target.id) {
+        setPersistedState(String(this._options.persist), target.id);
+      }
+    };
+    
     // Unlock after a frame to allow CSS transitions
     requestAnimationFrame(() => {
       if (listElement) {
         transitioningContainers.delete(listElement);
       }
       
-      // Dispatch shown event
-      this._triggerEvent(EVENTS.SHOWN, {
-        relatedTarget: previousTab
-      });
-      
-      // Dispatch hidden event on previous tab
+      // Panes are swapped: the previous tab is hidden whether or not the load settles
       if (previousTab && previousTab !== this._element) {
         this._triggerEventOn(previousTab, EVENTS.HIDDEN, {
           relatedTarget: this._element
         });
       }
+      
+      // With awaitRemote, shown/hidden wait until the pane content has settled
+      if (loading && this._options.awaitRemote) {
+        loading.then(complete);
+      } else {
+        complete();
+      }
     });
   }
   
@@ -178,20 +398,201 @@ class Tab {
    * Destroy the tab instance
    */
   dispose() {
+    this._abortLoad();
     removeInstance(this._element, DATA_KEY);
     this._element = null;
   }
   
   // Private methods
   
+  /**
+   * Merge options, tab data attributes taking precedence over the nav's
+   * @param {Object} options 
+   * @returns {Object}
+   * @private
+   */
+  _getOptions(options) {
+    const listElement = closest(this._element, SELECTORS.NAV_LIST_GROUP);
+    const listOptions = listElement ? parseDataOptions(listElement, DEFAULTS) : DEFAULTS;
+    
+    return {
+      ...parseDataOptions(this._element, listOptions),
+      ...options
+    };
+  }
+  
+  /**
+   * Get the URL parameter holding this tab's nav selection
+   * @returns {string}
+   * @private
+   */
+  _getHistoryKey() {
+    const listElement = closest(this._element, SELECTORS.NAV_LIST_GROUP);
+    return this._options.tabHistoryKey || (listElement && listElement.id) || NAME;
+  }
+  
+  /**
+   * Record the shown tab in the URL (history option)
+   * @private
+   */
+  _updateUrl() {
+    const mode = this._options.tabHistory;
+    const target = getTarget(this._element);
+    
+    if (!HISTORY_MODES.includes(mode) || !target || !target.id) return;
+    
+    const url = new URL(window.location.href);
+    const params = getHistoryParams(url, mode);
+    const key = this._getHistoryKey();
+    
+    if (params.get(key) === target.id) return;
+    
+    params.set(key, target.id);
+    if (mode === 'hash') {
+      url.hash = params.toString();
+    }
+    
+    window.history.pushState(window.history.state, '', url);
+  }
+  
+  /**
+   * Show the nav's persisted tab, once per nav. Runs while the first tab
+   * of the nav is set up, so the restored tab appears without transitions
+   * or events.
+   * @private
+   */
+  _restorePersistedTab() {
+    const listElement = closest(this._element, SELECTORS.NAV_LIST_GROUP);
+    if (!listElement || restoredLists.has(listElement)) return;
+    
+    restoredLists.add(listElement);
+    
+    const paneId = getPersistedState(String(this._options.persist));
+    const tab = paneId && getListTabs(listElement).find(candidate => getTarget(candidate)?.id === paneId);
+    
+    if (!tab || isNavItemActive(tab) || isNavItemDisabled(tab)) return;
+    
+    const instance = Tab.getOrCreateInstance(tab);
+    const target = getTarget(tab);
+    
+    instance._activate(tab, listElement, false);
+    instance._activate(target, target.parentElement, true, false);
+    
+    if (instance._options.remote) {
+      instance._load(target);
+    }
+  }
+  
+  /**
+   * Load the remote option's HTML into the pane, showing the loading
+   * template meanwhile
+   * @param {Element} pane 
+   * @returns {Promise<boolean>} Whether the load settled (loaded or failed),
+   *   false when it was cancelled
+   * @private
+   */
+  async _load(pane) {
+    const url = this._options.remote;
+    
+    // Only one request at a time - the latest wins
+    this._abortLoad();
+    
+    const controller = new AbortController();
+    this._loadController = controller;
+    
+    $(pane).html(this._options.loadingTemplate);
+    addClass(pane, CLASSES.LOADING);
+    setAttr(pane, 'aria-busy', 'true');
+    
+    try {
+      const response = await fetch(url, {
+        headers: { 'X-Requested-With': 'XMLHttpRequest' },
+        credentials: 'same-origin',
+        signal: controller.signal
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+      }
+      
+      const html = await response.text();
+      
+      // Request was cancelled while reading the body
+      if (controller.signal.aborted) return false;
+      
+      // Use JQNext html() so inline scripts run like jQuery's load()
+      $(pane).html(html);
+      this._isLoaded = true;
+      
+      this._triggerEvent(EVENTS.LOADED, { relatedTarget: pane, remote: url });
+      return true;
+    } catch (error) {
+      // Cancelled by switching tabs, dispose() or a newer load
+      if (error.name === 'AbortError') return false;
+      
+      $(pane).empty();
+      this._triggerEvent(EVENTS.LOAD_ERROR, { relatedTarget: pane, remote: url, error });
+      return true;
+    } finally {
+      if (this._loadController === controller) {
+        this._loadController = null;
+        removeClass(pane, CLASSES.LOADING);
+        removeAttr(pane, 'aria-busy');
+      }
+    }
+  }
+  
+  /**
+   * Cancel a pending remote load
+   * @private
+   */
+  _abortLoad() {
+    if (this._loadController) {
+      this._loadController.abort();
+      this._loadController = null;
+      
+      const target = this._element && getTarget(this._element);
+      if (target) {
+        removeClass(target, CLASSES.LOADING);
+        removeAttr(target, 'aria-busy');
+      }
+    }
+  }
+  
+  /**
+   * Set up the tablist and link the tab with its pane
+   * @private
+   */
+  _initAria() {
+    const listElement = closest(this._element, SELECTORS.NAV_LIST_GROUP);
+    if (listElement) {
+      updateTabList(listElement);
+    }
+    
+    const target = getTarget(this._element);
+    if (!target) return;
+    
+    if (!this._element.id) {
+      this._element.id = getUID(`${NAME}-`);
+    }
+    if (!target.id) {
+      target.id = getUID(`${NAME}panel-`);
+    }
+    
+    setDefaultAttr(this._element, 'aria-controls', target.id);
+    setDefaultAttr(target, 'role', 'tabpanel');
+    setDefaultAttr(target, 'aria-labelledby', this._element.id);
+  }
+  
   /**
    * Activate element within container
    * @param {Element} element - Element to activate
    * @param {Element} container - Container element
    * @param {boolean} [isPane=false] - Whether activating a pane
+   * @param {boolean} [animate=true] - Whether a fading pane transitions in
    * @private
    */
-  _activate(element, container, isPane = false) {
+  _activate(element, container, isPane = false, animate = true) {
     if (!container) return;
     
     if (isPane) {
@@ -207,7 +608,7 @@ class Tab {
       
       // Handle fade transition
       if (hasClass(element, CLASSES.FADE)) {
-        reflow(element);
+        if (animate) reflow(element);
         addClass(element, CLASSES.IN);
       }
     } else {
@@ -253,6 +654,9 @@ class Tab {
       if (element.hasAttribute('aria-selected')) {
         setAttr(element, 'aria-selected', 'true');
       }
+      
+      // Move the roving tabindex to the new tab
+      updateTabList(container);
     }
   }
   
@@ -299,10 +703,11 @@ class Tab {
   /**
    * Get or create Tab instance
    * @param {Element} element 
+   * @param {Object} [options]
    * @returns {Tab}
    */
-  static getOrCreateInstance(element) {
-    return Tab.getInstance(element) || new Tab(element);
+  static getOrCreateInstance(element, options = {}) {
+    return Tab.getInstance(element) || new Tab(element, options);
   }
   
   /**
@@ -325,6 +730,114 @@ class Tab {
     instance.show();
   }
   
+  /**
+   * Show the tabs named in the URL for every nav using the history option.
+   * Navs are handled in document order so outer tabs reveal nested ones first.
+   */
+  static syncWithUrl() {
+    const url = new URL(window.location.href);
+    
+    // Register tabs rendered since the last sync
+    for (const element of $$(SELECTORS.TAB_HISTORY)) {
+      const tabs = element.matches(SELECTORS.TAB_TOGGLE) ? [element] : $$(SELECTORS.TAB_TOGGLE, element);
+      tabs.forEach(tab => Tab.getOrCreateInstance(tab));
+    }
+    
+    for (const list of historyLists.keys()) {
+      if (!list.isConnected) historyLists.delete(list);
+    }
+    
+    const lists = [...historyLists.keys()].sort((a, b) =>
+      (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)
+    );
+    
+    for (const list of lists) {
+      const tabs = getListTabs(list).map(tab => Tab.getOrCreateInstance(tab));
+      
+      if (tabs.length === 0) continue;
+      
+      const { tabHistory: mode } = tabs[0]._options;
+      if (!HISTORY_MODES.includes(mode)) continue;
+      
+      const params = getHistoryParams(url, mode);
+      const key = tabs[0]._getHistoryKey();
+      const hash = url.hash.slice(1);
+      const findTab = id => tabs.find(instance => getTarget(instance.element)?.id === id);
+      let match;
+      
+      if (params.has(key)) {
+        match = findTab(params.get(key));
+      } else if (mode === 'hash' && hash && !hash.includes('=')) {
+        // A plain #pane-id link selects the tab showing that pane
+        match = findTab(decodeURIComponent(hash));
+      } else {
+        // Back to a URL without a selection: restore the initial tab
+        const initialTab = historyLists.get(list);
+        match = initialTab && Tab.getInstance(initialTab);
+      }
+      
+      if (match) {
+        match._isSyncingUrl = true;
+        match.show();
+        match._isSyncingUrl = false;
+      }
+    }
+  }
+  
+  /**
+   * Handle keydown on a tab or a dropdown toggle within a tablist.
+   * Arrow keys wrap and skip disabled tabs; with activation 'manual'
+   * they only move focus and Enter/Space shows the focused tab.
+   * @param {KeyboardEvent} event
+   */
+  static handleKeydown(event) {
+    const item = closest(event.target, `${SELECTORS.TAB_TOGGLE}, ${SELECTORS.DROPDOWN_TOGGLE}`);
+    const listElement = item && closest(item, SELECTORS.NAV_LIST_GROUP);
+    if (!listElement) return;
+    
+    // Items inside a dropdown menu are handled by the dropdown
+    const menu = closest(item, SELECTORS.DROPDOWN_MENU);
+    if (menu && listElement.contains(menu)) return;
+    
+    const items = getNavItems(listElement);
+    if (!items.includes(item)) return;
+    
+    if (event.key === KEYS.ENTER || event.key === KEYS.SPACE) {
+      // Dropdown toggles open their menu instead
+      if (!item.matches(SELECTORS.TAB_TOGGLE)) return;
+      
+      event.preventDefault();
+      Tab.getOrCreateInstance(item).show();
+      return;
+    }
+    
+    const enabledItems = items.filter(candidate => candidate === item || !isNavItemDisabled(candidate));
+    const index = enabledItems.indexOf(item);
+    const last = enabledItems.length - 1;
+    
+    const nextIndex = {
+      [KEYS.HOME]: 0,
+      [KEYS.END]: last,
+      [KEYS.ARROW_LEFT]: index === 0 ? last : index - 1,
+      [KEYS.ARROW_RIGHT]: index === last ? 0 : index + 1
+    }[event.key];
+    
+    if (nextIndex === undefined) return;
+    event.preventDefault();
+    
+    const nextItem = enabledItems[nextIndex];
+    if (nextItem === item || isNavItemDisabled(nextItem)) return;
+    
+    nextItem.focus();
+    
+    if (nextItem.matches(SELECTORS.TAB_TOGGLE)) {
+      const instance = Tab.getOrCreateInstance(nextItem);
+      if (instance._options.activation !== 'manual') {
+        instance.show();
+      }
+    }
+  }
+  
   /**
    * Version
    */
@@ -338,6 +851,13 @@ class Tab {
   static get DATA_KEY() {
     return DATA_KEY;
   }
+  
+  /**
+   * Default options
+   */
+  static get DEFAULTS() {
+    return DEFAULTS;
+  }
 }
 
 export default Tab;
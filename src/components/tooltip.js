@@ -7,15 +7,15 @@
 import $ from 'jqnext';
 import {
   createFromHTML,
-  computePosition, applyPosition, autoUpdate, getContainer,
+  computePosition, applyPosition, positionArrow, parsePlacement, createVirtualReference, autoUpdate, getContainer,
   setInstance, getInstance, removeInstance,
   parseDataOptions, getUID
 } from '../utils/index.js';
 import {
-  $$, closest, hasClass, addClass, removeClass,
+  $$, $1, closest, hasClass, addClass, removeClass,
   getAttr, setAttr, removeAttr, getData, css,
   show as showEl, hide as hideEl, remove as removeEl,
-  dimensions, offset, on, off, trigger, sanitizeHTML,
+  dimensions, offset, on, off, trigger, sanitizeHTML, DEFAULT_ALLOW_LIST,
   fadeIn, fadeOut, reflow
 } from './helpers.js';
 
@@ -38,9 +38,17 @@ const DEFAULTS = {
   fallbackPlacement: 'flip',
   boundary: 'scrollParent',
   sanitize: true,
-  viewport: { selector: 'body', padding: 0 }
+  sanitizeFn: null,
+  whiteList: DEFAULT_ALLOW_LIST,
+  allowList: null,
+  viewport: { selector: 'body', padding: 0 },
+  interactive: false,
+  followCursor: false
 };
 
+// Options that can't be set through data attributes (they could switch sanitizing off)
+const DISALLOWED_ATTRIBUTES = ['sanitize', 'sanitizeFn', 'whiteList', 'allowList'];
+
 const EVENTS = {
   SHOW: `show${EVENT_KEY}`,
   SHOWN: `shown${EVENT_KEY}`,
@@ -56,7 +64,8 @@ const CLASSES = {
   TOP: 'top',
   RIGHT: 'right',
   BOTTOM: 'bottom',
-  LEFT: 'left'
+  LEFT: 'left',
+  SINGLETON: 'tooltip-singleton'
 };
 
 const TRIGGERS = {
@@ -73,6 +82,128 @@ const SELECTORS = {
 
 const TRANSITION_DURATION = 150;
 
+// Distance between tip and element (room for the arrow), the offset option adds to it
+const TIP_GAP = 10;
+
+// Minimum hide delay of interactive tips, gives the pointer time to cross the gap
+const INTERACTIVE_GRACE_PERIOD = 150;
+
+// Minimum hide delay of grouped tooltips, lets the tip move to the next element instead
+const GROUP_GRACE_PERIOD = 100;
+
+/**
+ * Groups created through data-tooltip-group, by name
+ */
+const namedGroups = new Map();
+
+/**
+ * Tooltip group (singleton)
+ * Members share one tip that moves between them. Only one member owns it at a time.
+ */
+class TooltipGroup {
+  /**
+   * @param {string} [name] - data-tooltip-group name
+   */
+  constructor(name = null) {
+    this.name = name;
+    this.members = new Set();
+    this.active = null;
+    this.tip = null;
+  }
+  
+  /**
+   * Get (or create) a named group
+   * @param {string} name 
+   * @returns {TooltipGroup}
+   */
+  static named(name) {
+    if (!namedGroups.has(name)) {
+      namedGroups.set(name, new TooltipGroup(name));
+    }
+    return namedGroups.get(name);
+  }
+  
+  /**
+   * Get the shared tip, created from the first member's template
+   * @param {string} template 
+   * @returns {Element}
+   */
+  getTip(template) {
+    if (!this.tip) {
+      this.tip = createFromHTML(template);
+      addClass(this.tip, CLASSES.SINGLETON);
+    }
+    return this.tip;
+  }
+  
+  /**
+   * Check if a member currently shows the tip
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !!this.active && this.active._isTipShown();
+  }
+  
+  /**
+   * Add member
+   * @param {Tooltip} instance 
+   */
+  add(instance) {
+    this.members.add(instance);
+  }
+  
+  /**
+   * Remove member, the tip goes with the last one
+   * @param {Tooltip} instance 
+   */
+  remove(instance) {
+    this.members.delete(instance);
+    
+    if (this.active === instance) {
+      this.active = null;
+      if (this.tip) {
+        removeEl(this.tip);
+      }
+    }
+    
+    if (this.members.size === 0) {
+      this.tip = null;
+      if (this.name) {
+        namedGroups.delete(this.name);
+      }
+    }
+  }
+  
+  /**
+   * Show the tooltip of an element of the group
+   * @param {Element} element 
+   */
+  show(element) {
+    const instance = [...this.members].find(member => member._element === element);
+    if (instance) {
+      instance.show();
+    }
+  }
+  
+  /**
+   * Hide the shared tip
+   */
+  hide() {
+    if (this.active) {
+      this.active.hide();
+    }
+  }
+  
+  /**
+   * Dispose all members
+   */
+  dispose() {
+    for (const instance of [...this.members]) {
+      instance.dispose();
+    }
+  }
+}
+
 /**
  * Tooltip Class
  * Provides tooltip functionality
@@ -98,6 +229,20 @@ class Tooltip {
     this._hoverState = '';
     this._activeTrigger = {};
     this._cleanupAutoUpdate = null;
+    this._delegates = new Set();
+    this._cursor = null;
+    this._cursorFrame = null;
+    this._group = null;
+    this._isHiding = false;
+    
+    // Triggers the tip reacts to (delegated instances get the container's)
+    this._triggers = this._options.trigger.split(' ');
+    
+    // Share a tip with the other members of a data-tooltip-group
+    const groupName = getAttr(this._element, 'data-tooltip-group');
+    if (groupName) {
+      this._joinGroup(TooltipGroup.named(groupName));
+    }
     
     // Bind events
     this._setListeners();
@@ -112,7 +257,9 @@ class Tooltip {
    */
   get tip() {
     if (!this._tip) {
-      this._tip = createFromHTML(this._options.template);
+      this._tip = this._group
+        ? this._group.getTip(this._options.template)
+        : createFromHTML(this._options.template);
     }
     return this._tip;
   }
@@ -154,8 +301,6 @@ class Tooltip {
     if (!this._isEnabled) return;
     
     if (event) {
-      const context = this._getDelegateConfig();
-      
       if (!this._activeTrigger.click) {
         this._activeTrigger.click = true;
       } else {
@@ -168,7 +313,7 @@ class Tooltip {
         this._leave();
       }
     } else {
-      if (hasClass(this.tip, CLASSES.IN)) {
+      if (this._isTipShown()) {
         this._leave();
       } else {
         this._enter();
@@ -190,15 +335,32 @@ class Tooltip {
       return;
     }
     
+    if (!this._hasContent()) {
+      return;
+    }
+    
+    // Showing again while hide() is fading out: stop that hide so it
+    // doesn't remove the tip once the fade ends
+    this._isHiding = false;
+    
+    // Grouped: take the shared tip over from the member showing it
+    if (this._group) {
+      const previous = this._group.active;
+      if (previous && previous !== this && !previous._releaseTip()) {
+        return;
+      }
+      this._group.active = this;
+    }
+    
     const tip = this.tip;
-    const title = this._getTitle();
+    this._setContent(tip, this._getTitle());
     
-    if (!title) {
+    // Shared tip is already visible - move it instead of fading out and in
+    if (this._group && tip.parentNode && hasClass(tip, CLASSES.IN)) {
+      await this._moveTip(tip);
       return;
     }
     
-    this._setContent(tip, title);
-    
     // Remove existing classes
     removeClass(tip, CLASSES.IN);
     removeClass(tip, CLASSES.TOP);
@@ -230,12 +392,19 @@ class Tooltip {
     const container = getContainer(this._options.container, this._element.ownerDocument.body);
     container.appendChild(tip);
     
+    if (this._options.interactive) {
+      this._setTipListeners(tip);
+    }
+    
     // Dispatch inserted event
     this._triggerEvent(EVENTS.INSERTED);
     
     // Position the tooltip WHILE INVISIBLE
     await this._updatePosition();
     
+    // Grouped: another member took the tip over meanwhile
+    if (this._group && this._group.active !== this) return;
+    
     // Now make visible - remove hiding styles and show
     tip.style.visibility = '';
     tip.style.pointerEvents = '';
@@ -249,6 +418,8 @@ class Tooltip {
     
     if (this._options.animation) {
       await this._waitForTransition(tip, TRANSITION_DURATION);
+      
+      if (this._group && this._group.active !== this) return;
     }
     
     // Set up auto-update for repositioning
@@ -266,6 +437,9 @@ class Tooltip {
    * Hide tooltip
    */
   async hide() {
+    // Grouped: the shared tip belongs to another member (already released)
+    if (this._group && this._group.active !== this) return;
+    
     const tip = this.tip;
     
     // Dispatch hide event (cancelable)
@@ -279,19 +453,31 @@ class Tooltip {
     }
     
     // Hide with animation
+    this._isHiding = true;
     removeClass(tip, CLASSES.IN);
     
     if (this._options.animation && hasClass(tip, CLASSES.FADE)) {
       await this._waitForTransition(tip, TRANSITION_DURATION);
     }
     
+    // Another group member took the tip over while it was fading out,
+    // _releaseTip() already finished the hide
+    if (!this._isHiding) return;
+    
+    this._isHiding = false;
     this._hoverState = '';
     this._activeTrigger = {};
+    this._stopFollowingCursor();
     
     // Remove tip from DOM
     if (tip.parentNode) {
       tip.parentNode.removeChild(tip);
     }
+    this._removeTipListeners(tip);
+    
+    if (this._group) {
+      this._group.active = null;
+    }
     
     // Remove aria
     removeAttr(this._element, 'aria-describedby');
@@ -312,6 +498,7 @@ class Tooltip {
    */
   dispose() {
     clearTimeout(this._timeout);
+    this._stopFollowingCursor();
     
     // Clean up auto-update
     if (this._cleanupAutoUpdate) {
@@ -321,8 +508,15 @@ class Tooltip {
     // Remove event listeners
     this._removeListeners();
     
-    // Remove tip
-    if (this._tip) {
+    // Tear down instances created through delegation
+    this._disposeDelegates();
+    
+    // Remove tip (a shared tip is removed by the group)
+    if (this._group) {
+      this._group.remove(this);
+      this._group = null;
+    } else if (this._tip) {
+      this._removeTipListeners(this._tip);
       removeEl(this._tip);
     }
     
@@ -342,6 +536,97 @@ class Tooltip {
   
   // Private methods
   
+  /**
+   * Join a tooltip group and use its shared tip
+   * @param {TooltipGroup} group 
+   * @private
+   */
+  _joinGroup(group) {
+    if (this._group === group) return;
+    
+    if (this._group) {
+      this._group.remove(this);
+    } else if (this._tip) {
+      removeEl(this._tip);
+    }
+    
+    this._group = group;
+    this._tip = null;
+    group.add(this);
+  }
+  
+  /**
+   * Check if this instance's tip is visible
+   * @returns {boolean}
+   * @private
+   */
+  _isTipShown() {
+    if (!this._tip || !this._tip.parentNode || !hasClass(this._tip, CLASSES.IN)) return false;
+    return !this._group || this._group.active === this;
+  }
+  
+  /**
+   * Give the shared tip up to another group member: fires hide/hidden
+   * for this element without removing the tip. Always emits the pair
+   * before returning, so hidden never comes after the next member's show.
+   * @returns {boolean} - false if the hide event was prevented
+   * @private
+   */
+  _releaseTip() {
+    clearTimeout(this._timeout);
+    
+    // hide() is fading the tip out and already fired hide: finish it here
+    // (hide() stops once the fade ends)
+    if (this._isHiding) {
+      this._isHiding = false;
+    } else {
+      const hideEvent = this._triggerEvent(EVENTS.HIDE);
+      if (hideEvent.defaultPrevented) return false;
+    }
+    
+    if (this._cleanupAutoUpdate) {
+      this._cleanupAutoUpdate();
+      this._cleanupAutoUpdate = null;
+    }
+    
+    this._hoverState = '';
+    this._activeTrigger = {};
+    this._stopFollowingCursor();
+    removeAttr(this._element, 'aria-describedby');
+    
+    this._triggerEvent(EVENTS.HIDDEN);
+    return true;
+  }
+  
+  /**
+   * Move the visible shared tip to this element
+   * @param {Element} tip 
+   * @returns {Promise}
+   * @private
+   */
+  async _moveTip(tip) {
+    const tipId = getUID(this.constructor.NAME || NAME);
+    setAttr(tip, 'id', tipId);
+    setAttr(this._element, 'aria-describedby', tipId);
+    
+    if (this._options.interactive) {
+      this._setTipListeners(tip);
+    } else {
+      this._removeTipListeners(tip);
+    }
+    
+    // Position transition comes from the .tooltip-singleton styles
+    await this._updatePosition();
+    
+    this._cleanupAutoUpdate = autoUpdate(this._element, tip, () => {
+      this._updatePosition();
+    });
+    
+    this._hoverState = '';
+    
+    this._triggerEvent(EVENTS.SHOWN);
+  }
+  
   /**
    * Get merged options
    * @param {Object} options 
@@ -350,10 +635,11 @@ class Tooltip {
    */
   _getOptions(options) {
     const defaults = this.constructor.DEFAULTS || DEFAULTS;
-    const dataOptions = parseDataOptions(this._element, defaults);
+    const dataOptions = this._getDataOptions(defaults);
     
     // Also get title from data attribute or title attribute
-    if (!options.title && !dataOptions.title) {
+    // (a delegating container keeps its own title)
+    if (!options.title && !dataOptions.title && !options.selector && !dataOptions.selector) {
       dataOptions.title = getAttr(this._element, 'title') || 
                           getAttr(this._element, 'data-original-title') || '';
       
@@ -364,11 +650,44 @@ class Tooltip {
       }
     }
     
-    return {
+    const config = {
       ...defaults,
       ...dataOptions,
       ...options
     };
+    
+    if (config.sanitize) {
+      config.template = this._sanitize(config.template, config);
+    }
+    
+    return config;
+  }
+  
+  /**
+   * Get options from data attributes, ignoring the sanitizer options
+   * @param {Object} defaults 
+   * @returns {Object}
+   * @private
+   */
+  _getDataOptions(defaults) {
+    const dataOptions = parseDataOptions(this._element, defaults);
+    
+    for (const key of DISALLOWED_ATTRIBUTES) {
+      delete dataOptions[key];
+    }
+    
+    return dataOptions;
+  }
+  
+  /**
+   * Sanitize HTML with the configured allowlist or sanitizeFn
+   * @param {string} html 
+   * @param {Object} [options] 
+   * @returns {string}
+   * @private
+   */
+  _sanitize(html, options = this._options) {
+    return sanitizeHTML(html, options.allowList || options.whiteList, options.sanitizeFn);
   }
   
   /**
@@ -386,6 +705,15 @@ class Tooltip {
     return title ? String(title) : '';
   }
   
+  /**
+   * Check if there is anything to show
+   * @returns {boolean}
+   * @private
+   */
+  _hasContent() {
+    return !!this._getTitle();
+  }
+  
   /**
    * Set content in tooltip
    * @param {Element} tip 
@@ -393,17 +721,23 @@ class Tooltip {
    * @private
    */
   _setContent(tip, title) {
-    const inner = $(SELECTORS.TOOLTIP_INNER, tip);
+    const inner = $1(SELECTORS.TOOLTIP_INNER, tip);
     if (inner) {
-      if (this._options.html) {
-        if (this._options.sanitize) {
-          inner.innerHTML = sanitizeHTML(title);
-        } else {
-          inner.innerHTML = title;
-        }
-      } else {
-        inner.textContent = title;
-      }
+      this._setElementContent(inner, title);
+    }
+  }
+  
+  /**
+   * Set text or (sanitized) HTML content of an element
+   * @param {Element} element 
+   * @param {string} content 
+   * @private
+   */
+  _setElementContent(element, content) {
+    if (this._options.html) {
+      element.innerHTML = this._options.sanitize ? this._sanitize(content) : content;
+    } else {
+      element.textContent = content;
     }
   }
   
@@ -416,25 +750,114 @@ class Tooltip {
     if (!tip || !tip.parentNode) return;
     
     const placement = this._getPlacement();
+    const arrow = this._getArrowElement();
+    
+    // The arrow is sized by the placement class, so give it one before measuring
+    if (!this._getPlacementClass(tip)) {
+      this._setPlacementClass(tip, parsePlacement(placement).side);
+    }
+    
+    const viewport = this._getViewport();
     
     // Use modern positioning
-    const position = await computePosition(this._element, tip, {
+    const position = await computePosition(this._getReference(), tip, {
       placement,
-      offset: 10, // Arrow + gap
+      offset: TIP_GAP + this._getOffset(),
       flip: this._options.fallbackPlacement === 'flip',
-      shift: true
+      shift: true,
+      arrow,
+      // Stay within both the viewport option and the boundary
+      boundary: [viewport.element, this._options.boundary].filter(Boolean),
+      padding: viewport.padding
     });
     
     // Apply position
     applyPosition(tip, position);
     
     // Update placement class
-    const actualPlacement = position.placement.split('-')[0];
+    this._setPlacementClass(tip, position.placement.split('-')[0]);
+    
+    // Point the arrow at the reference centre
+    positionArrow(arrow, position.middlewareData, position.placement);
+  }
+  
+  /**
+   * Resolve the viewport option (selector, element, function or {selector, padding})
+   * @returns {{element: Element|null, padding: number}}
+   * @private
+   */
+  _getViewport() {
+    let viewport = this._options.viewport;
+    
+    if (typeof viewport === 'function') {
+      viewport = viewport.call(this, this.$element);
+    }
+    
+    if (!viewport) {
+      return { element: null, padding: 0 };
+    }
+    
+    const isConfig = Object.getPrototypeOf(viewport) === Object.prototype;
+    const target = isConfig ? viewport.selector : viewport;
+    
+    return {
+      element: target ? $(target)[0] || null : null,
+      padding: (isConfig && Number(viewport.padding)) || 0
+    };
+  }
+  
+  /**
+   * Get extra offset from the offset option
+   * @returns {number}
+   * @private
+   */
+  _getOffset() {
+    let offset = this._options.offset;
+    
+    if (typeof offset === 'function') {
+      offset = offset.call(this, this.tip, this._element);
+    }
+    
+    return parseFloat(offset) || 0;
+  }
+  
+  /**
+   * Get the placement class currently set on tip
+   * @param {Element} tip 
+   * @returns {string|undefined}
+   * @private
+   */
+  _getPlacementClass(tip) {
+    return [CLASSES.TOP, CLASSES.RIGHT, CLASSES.BOTTOM, CLASSES.LEFT]
+      .find(className => hasClass(tip, className));
+  }
+  
+  /**
+   * Set the placement class on tip
+   * @param {Element} tip 
+   * @param {string} side 
+   * @private
+   */
+  _setPlacementClass(tip, side) {
+    if (this._getPlacementClass(tip) === side) return;
+    
     removeClass(tip, CLASSES.TOP);
     removeClass(tip, CLASSES.RIGHT);
     removeClass(tip, CLASSES.BOTTOM);
     removeClass(tip, CLASSES.LEFT);
-    addClass(tip, actualPlacement);
+    
+    if ([CLASSES.TOP, CLASSES.RIGHT, CLASSES.BOTTOM, CLASSES.LEFT].includes(side)) {
+      addClass(tip, side);
+    }
+  }
+  
+  /**
+   * Get arrow element of tip
+   * @returns {Element|null}
+   * @private
+   */
+  _getArrowElement() {
+    return $1(SELECTORS.TOOLTIP_ARROW, this.tip);
   }
   
   /**
@@ -457,24 +880,134 @@ class Tooltip {
    * @private
    */
   _setListeners() {
-    const triggers = this._options.trigger.split(' ');
+    const triggers = this._triggers;
+    const { selector } = this._options;
+    
+    // Track the pointer before the triggers run so the first position uses it
+    // (delegated children do this themselves)
+    if (this._options.followCursor && !selector) {
+      on(this._element, 'mouseenter', (e) => this._handleMouseMove(e));
+      on(this._element, 'mousemove', (e) => this._handleMouseMove(e));
+    }
     
     for (const trigger of triggers) {
       if (trigger === TRIGGERS.CLICK) {
-        on(this._element, 'click', () => this.toggle());
+        if (selector) {
+          on(this._element, 'click', selector, (e) => this._getDelegate(e).toggle());
+        } else {
+          on(this._element, 'click', () => this.toggle());
+        }
       } else if (trigger !== TRIGGERS.MANUAL) {
         const eventIn = trigger === TRIGGERS.HOVER ? 'mouseenter' : 'focusin';
         const eventOut = trigger === TRIGGERS.HOVER ? 'mouseleave' : 'focusout';
         
-        on(this._element, eventIn, () => this._enter());
-        on(this._element, eventOut, () => this._leave());
+        if (selector) {
+          // Delegated tooltips - matching descendants get their own instance on demand
+          on(this._element, eventIn, selector, (e) => this._getDelegate(e)._enter());
+          on(this._element, eventOut, selector, (e) => this._getDelegate(e)._leave());
+        } else {
+          on(this._element, eventIn, () => this._enter());
+          on(this._element, eventOut, () => this._leave());
+        }
+      }
+    }
+  }
+  
+  /**
+   * Record pointer position and reposition a shown tip (once per frame)
+   * @param {MouseEvent} event 
+   * @private
+   */
+  _handleMouseMove(event) {
+    const isShown = this._isTipShown();
+    
+    // 'initial' stays where the pointer was when the tip appeared
+    if (isShown && this._options.followCursor === 'initial') return;
+    
+    this._cursor = { x: event.clientX, y: event.clientY };
+    
+    if (!isShown || this._cursorFrame) return;
+    
+    this._cursorFrame = requestAnimationFrame(() => {
+      this._cursorFrame = null;
+      this._updatePosition();
+    });
+  }
+  
+  /**
+   * Forget the pointer position and cancel a pending reposition
+   * @private
+   */
+  _stopFollowingCursor() {
+    if (this._cursorFrame) {
+      cancelAnimationFrame(this._cursorFrame);
+      this._cursorFrame = null;
+    }
+    this._cursor = null;
+  }
+  
+  /**
+   * Get positioning reference: the element, or a virtual one at the pointer
+   * for the followCursor option
+   * @returns {Element|Object}
+   * @private
+   */
+  _getReference() {
+    const mode = this._options.followCursor;
+    
+    // Shown by keyboard focus or before the pointer moved
+    if (!mode || !this._cursor) return this._element;
+    
+    return createVirtualReference(() => {
+      const rect = this._element.getBoundingClientRect();
+      const { x, y } = this._cursor || { x: rect.left, y: rect.top };
+      
+      if (mode === 'horizontal') {
+        return { x, y: rect.top, width: 0, height: rect.height };
+      }
+      if (mode === 'vertical') {
+        return { x: rect.left, y, width: rect.width, height: 0 };
+      }
+      return { x, y, width: 0, height: 0 };
+    }, this._element);
+  }
+  
+  /**
+   * Get (or create) the instance for the descendant matched by selector
+   * @param {Event} event - Delegated event, currentTarget is the matched element
+   * @returns {Tooltip}
+   * @private
+   */
+  _getDelegate(event) {
+    const element = event.currentTarget;
+    let instance = this.constructor.getInstance(element);
+    
+    if (!instance) {
+      instance = new this.constructor(element, this._getDelegateConfig());
+      instance._triggers = this._triggers;
+      this._delegates.add(instance);
+      
+      // The event that created it has already passed the child's own listeners
+      if (instance._options.followCursor && typeof event.clientX === 'number') {
+        instance._handleMouseMove(event);
       }
     }
     
-    // Focus out on tip click
-    if (this._options.selector) {
-      // Delegated tooltips - handled differently
+    return instance;
+  }
+  
+  /**
+   * Dispose instances created through delegation
+   * @private
+   */
+  _disposeDelegates() {
+    for (const instance of this._delegates) {
+      // May already have been disposed on its own
+      if (instance._element) {
+        instance.dispose();
+      }
     }
+    this._delegates.clear();
   }
   
   /**
@@ -487,6 +1020,74 @@ class Tooltip {
     off(this._element, 'mouseleave');
     off(this._element, 'focusin');
     off(this._element, 'focusout');
+    off(this._element, 'mousemove');
+  }
+  
+  /**
+   * Keep interactive tips open while the pointer or focus is inside them
+   * @param {Element} tip 
+   * @private
+   */
+  _setTipListeners(tip) {
+    this._removeTipListeners(tip);
+    
+    const stay = () => {
+      clearTimeout(this._timeout);
+      this._hoverState = 'in';
+    };
+    
+    const leave = (e) => {
+      // Moving between the tip and the element
+      const { relatedTarget } = e;
+      if (relatedTarget && (tip.contains(relatedTarget) || this._element.contains(relatedTarget))) return;
+      
+      this._leave();
+    };
+    
+    // Only hover and focus triggers close on leaving; click tips stay until clicked again
+    const triggers = this._triggers;
+    
+    if (triggers.includes(TRIGGERS.HOVER)) {
+      on(tip, 'mouseenter', stay);
+      on(tip, 'mouseleave', leave);
+    }
+    
+    if (triggers.includes(TRIGGERS.FOCUS)) {
+      on(tip, 'focusin', stay);
+      on(tip, 'focusout', leave);
+    }
+  }
+  
+  /**
+   * Remove interactive tip listeners
+   * @param {Element} tip 
+   * @private
+   */
+  _removeTipListeners(tip) {
+    off(tip, 'mouseenter');
+    off(tip, 'focusin');
+    off(tip, 'mouseleave');
+    off(tip, 'focusout');
+  }
+  
+  /**
+   * Check if the user is still interacting with an interactive tip:
+   * pointer or focus inside the tip, or on the element for its own triggers
+   * @returns {boolean}
+   * @private
+   */
+  _isInteracting() {
+    if (!this._options.interactive || !this._tip || !this._tip.parentNode) return false;
+    
+    const tip = this._tip;
+    const active = document.activeElement;
+    const triggers = this._triggers;
+    
+    if (tip.matches(':hover') || (active && tip.contains(active))) return true;
+    
+    if (triggers.includes(TRIGGERS.HOVER) && this._element.matches(':hover')) return true;
+    
+    return triggers.includes(TRIGGERS.FOCUS) && !!active && this._element.contains(active);
   }
   
   /**
@@ -501,15 +1102,17 @@ class Tooltip {
     clearTimeout(this._timeout);
     this._hoverState = 'in';
     
-    if (!this._options.delay || !this._options.delay.show) {
+    // Already open (e.g. pointer came back from an interactive tip)
+    if (this._isTipShown()) return;
+    
+    // No show delay while another member of the group is open
+    const delay = this._group && this._group.isOpen() ? 0 : this._getDelay('show');
+    
+    if (!delay) {
       this.show();
       return;
     }
     
-    const delay = typeof this._options.delay === 'number'
-      ? this._options.delay
-      : this._options.delay.show;
-    
     this._timeout = setTimeout(() => {
       if (this._hoverState === 'in') {
         this.show();
@@ -525,22 +1128,45 @@ class Tooltip {
     clearTimeout(this._timeout);
     this._hoverState = 'out';
     
-    if (!this._options.delay || !this._options.delay.hide) {
+    let delay = this._getDelay('hide');
+    
+    if (this._options.interactive) {
+      delay = Math.max(delay, INTERACTIVE_GRACE_PERIOD);
+    }
+    
+    if (this._group) {
+      delay = Math.max(delay, GROUP_GRACE_PERIOD);
+    }
+    
+    if (!delay) {
       this.hide();
       return;
     }
     
-    const delay = typeof this._options.delay === 'number' 
-      ? this._options.delay 
-      : this._options.delay.hide;
-    
     this._timeout = setTimeout(() => {
-      if (this._hoverState === 'out') {
-        this.hide();
-      }
+      if (this._hoverState !== 'out') return;
+      
+      // Pointer reached the tip or focus moved into it - wait for it to leave
+      if (this._isInteracting()) return;
+      
+      this.hide();
     }, delay);
   }
   
+  /**
+   * Get show or hide delay from the delay option (number or {show, hide})
+   * @param {string} type - 'show' or 'hide'
+   * @returns {number}
+   * @private
+   */
+  _getDelay(type) {
+    const { delay } = this._options;
+    
+    if (typeof delay === 'number') return delay;
+    
+    return (delay && Number(delay[type])) || 0;
+  }
+  
   /**
    * Check if has active trigger
    * @returns {boolean}
@@ -552,20 +1178,27 @@ class Tooltip {
   
   /**
    * Get delegate config
+   * Options that differ from the defaults, for instances created through delegation.
+   * The container drives them, so they get no triggers or selector of their own
+   * (_getDelegate() hands them the container's trigger list for the tip listeners).
    * @returns {Object}
    * @private
    */
   _getDelegateConfig() {
+    const defaults = this.constructor.DEFAULTS || DEFAULTS;
     const config = {};
     
     if (this._options) {
       for (const key in this._options) {
-        if (DEFAULTS[key] !== this._options[key]) {
+        if (defaults[key] !== this._options[key]) {
           config[key] = this._options[key];
         }
       }
     }
     
+    config.trigger = TRIGGERS.MANUAL;
+    config.selector = false;
+    
     return config;
   }
   
@@ -649,6 +1282,22 @@ class Tooltip {
   static get DEFAULTS() {
     return DEFAULTS;
   }
+  
+  /**
+   * Create a group of tooltips sharing one tip that moves between the elements
+   * @param {Element[]|NodeList|string} elements - Elements or selector
+   * @param {Object} [options] - Options for the tooltips
+   * @returns {TooltipGroup} - Group with show(element), hide() and dispose()
+   */
+  static createSingleton(elements, options = {}) {
+    const group = new TooltipGroup();
+    
+    $(elements).each((index, element) => {
+      this.getOrCreateInstance(element, options)._joinGroup(group);
+    });
+    
+    return group;
+  }
 }
 
 export default Tooltip;
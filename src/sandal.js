@@ -5,11 +5,12 @@ import Tooltip from './components/tooltip.js';
 import Popover from './components/popover.js';
 import Tab from './components/tab.js';
 import Collapse from './components/collapse.js';
-import Alert from './components/alert.js';
+import Alert, { AlertSelectors } from './components/alert.js';
 import Button from './components/button.js';
 import Carousel from './components/carousel.js';
 import Scrollspy from './components/scrollspy.js';
 import Affix from './components/affix.js';
+import { clearPersistedState, setPersistStorage, setPersistNamespace } from './utils/persist.js';
 
 /**
  * SandalJS - Modern Bootstrap 3 API-compatible library
@@ -161,6 +162,30 @@ class Sandal {
     return null;
   }
 
+  /**
+   * Forget state saved through data-persist
+   * @param {string} [key] - Persist key; omit to clear all keys of this page
+   */
+  static clearPersistedState(key) {
+    clearPersistedState(key);
+  }
+
+  /**
+   * Choose where data-persist state is stored
+   * @param {'local'|'session'|Object} adapter - Built-in storage or a getItem/setItem/removeItem adapter
+   */
+  static setPersistStorage(adapter) {
+    setPersistStorage(adapter);
+  }
+
+  /**
+   * Set the namespace data-persist keys are stored under (default: page path)
+   * @param {string|Function|null} namespace
+   */
+  static setPersistNamespace(namespace) {
+    setPersistNamespace(namespace);
+  }
+
   /**
    * Get all active components
    * @returns {Map} Map of active components
@@ -221,6 +246,38 @@ class Sandal {
     return this;
   };
 
+  // Set-ups of whenRendered(), re-run for markup added after load
+  const renderedHandlers = [];
+  let renderedObserver = null;
+
+  /**
+   * Run init for every element matching selector now, and again whenever
+   * matching markup is added to the page later (AJAX responses, client-side
+   * rendering). Call at DOM ready; init must be safe to repeat.
+   * @param {string} selector
+   * @param {Function} init - Called with each element
+   */
+  function whenRendered(selector, init) {
+    document.body.querySelectorAll(selector).forEach(element => init(element));
+    renderedHandlers.push({ selector, init });
+
+    if (renderedObserver) return;
+
+    renderedObserver = new MutationObserver((records) => {
+      for (const record of records) {
+        for (const node of record.addedNodes) {
+          if (node.nodeType !== Node.ELEMENT_NODE || !node.isConnected) continue;
+
+          for (const handler of renderedHandlers) {
+            if (node.matches(handler.selector)) handler.init(node);
+            node.querySelectorAll(handler.selector).forEach(element => handler.init(element));
+          }
+        }
+      }
+    });
+    renderedObserver.observe(document.body, { childList: true, subtree: true });
+  }
+
   // Store old plugin references for noConflict
   const old = {
     modal: $.fn.modal,
@@ -314,9 +371,10 @@ class Sandal {
     return this.each(function() {
       const $this = $(this);
       let data = Tab.getInstance(this);
+      const options = typeof option === 'object' && option;
 
       if (!data && option !== 'dispose') {
-        data = new Tab(this);
+        data = new Tab(this, options || {});
       }
       if (typeof option === 'string' && data) {
         data[option]();
@@ -349,9 +407,10 @@ class Sandal {
     return this.each(function() {
       const $this = $(this);
       let data = Alert.getInstance(this);
+      const options = typeof option === 'object' && option;
 
       if (!data && option !== 'dispose') {
-        data = new Alert(this);
+        data = new Alert(this, options || {});
       }
       if (typeof option === 'string' && data) {
         data[option]();
@@ -450,6 +509,32 @@ class Sandal {
     $(this).tab('show');
   });
 
+  // Tab keyboard navigation - arrow keys, Home/End, Enter/Space for manual activation
+  $(document).on('keydown.bs.tab.data-api', '[data-toggle$="tab"], [data-toggle$="pill"], [role="tablist"] .dropdown-toggle', Tab.handleKeydown);
+
+  // Tab ARIA setup - tablist roles, tab/pane linking and roving tabindex,
+  // restores data-persist tabs (also of tabs rendered later), then shows
+  // the tabs named in the URL (data-tab-history)
+  $(function() {
+    whenRendered('[data-toggle$="tab"], [data-toggle$="pill"]', (toggle) => {
+      Tab.getOrCreateInstance(toggle);
+    });
+    Tab.syncWithUrl();
+  });
+
+  // Collapse persistence - restore panels saved with data-persist, also
+  // those rendered later
+  $(function() {
+    whenRendered('.collapse[data-persist]', (panel) => {
+      Collapse.getOrCreateInstance(panel, { toggle: false });
+    });
+  });
+
+  // Tab history - follow back/forward navigation and edited hashes
+  $(window).on('popstate.bs.tab.data-api hashchange.bs.tab.data-api', function() {
+    Tab.syncWithUrl();
+  });
+
   // Modal data-api - supports both Preside (.presidecms) and generic usage
   $(document).on('click.bs.modal.data-api', '[data-toggle$="modal"]', function(e) {
     const $this = $(this);
@@ -469,6 +554,9 @@ class Sandal {
     $(this).dropdown('toggle');
   });
 
+  // Dropdown keyboard data-api - ArrowDown/Enter/Space open toggles that were never clicked
+  $(document).on('keydown.bs.dropdown.data-api', '[data-toggle$=dropdown]', Dropdown.handleKeydown);
+
   // Collapse data-api - supports both Preside (.presidecms) and generic usage
   $(document).on('click.bs.collapse.data-api', '[data-toggle$=collapse]', function(e) {
     const $this = $(this);
@@ -483,12 +571,49 @@ class Sandal {
     $target.collapse(option);
   });
 
+  // Collapse group data-api - expand/collapse every panel in the target
+  // (data-collapse-action="show" | "hide" | "toggle", default toggle)
+  $(document).on('click.bs.collapse-group.data-api', '[data-toggle="collapse-all"]', function(e) {
+    const $this = $(this);
+    const href = $this.attr('href');
+    const target = $this.attr('data-target') || (href && href.replace(/.*(?=#[^\s]+$)/, ''));
+    const action = ['show', 'hide', 'toggle'].includes($this.attr('data-collapse-action'))
+      ? $this.attr('data-collapse-action')
+      : 'toggle';
+
+    if ($this.is('a')) e.preventDefault();
+
+    $(target).each(function() {
+      Collapse.group(this)[`${action}All`]();
+    });
+  });
+
+  // Collapse groups - set up the targets of collapse-all toggles on load so
+  // their data-mode applies to panel clicks too
+  $(function() {
+    $('[data-toggle="collapse-all"]').each(function() {
+      const $this = $(this);
+      const href = $this.attr('href');
+      $($this.attr('data-target') || (href && href.replace(/.*(?=#[^\s]+$)/, ''))).each(function() {
+        Collapse.group(this);
+      });
+    });
+  });
+
   // Alert data-api - supports both Preside (.presidecms) and generic usage
   $(document).on('click.bs.alert.data-api', '[data-dismiss="alert"]', function(e) {
     $(this).closest('.alert').alert('close');
     e.preventDefault();
   });
 
+  // Alert autohide - start the countdown of alerts rendered with data-autohide,
+  // including ones added to the page later (e.g. flash messages from an AJAX response)
+  $(function() {
+    whenRendered(AlertSelectors.AUTOHIDE, (alert) => {
+      Alert.getOrCreateInstance(alert);
+    });
+  });
+
   // Button data-api - supports both Preside (.presidecms) and generic usage
   $(document).on('click.bs.button.data-api', '[data-toggle^=button]', function(e) {
     let $btn = $(e.target);
@@ -0,0 +1,450 @@
+/**
+ * Sandal - Focus Management Utilities
+ * Focus trapping (nestable, recomputed on every Tab)
+ */
+
+/**
+ * Candidates for sequential keyboard navigation
+ */
+const TABBABLE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button',
+  'input:not([type="hidden"])',
+  'select',
+  'textarea',
+  'iframe',
+  'object',
+  'embed',
+  'audio[controls]',
+  'video[controls]',
+  'summary',
+  '[contenteditable]:not([contenteditable="false"])',
+  '[tabindex]'
+].join(',');
+
+/**
+ * Attributes through which a reference points at its floating element
+ * (tooltip, popover, menu) when that element lives outside the trap
+ */
+const OWNER_ATTRIBUTES = ['aria-describedby', 'aria-controls', 'aria-owns'];
+
+/**
+ * Active traps, innermost last. Only the innermost trap is enforced.
+ */
+const trapStack = [];
+
+/**
+ * Floating elements registered with registerFocusPortal(), mapped to their owner
+ */
+const portals = new Map();
+
+let documentListeners = null;
+
+/**
+ * Get the focused element, descending into open shadow roots
+ * @param {Document|ShadowRoot} [root=document]
+ * @returns {Element|null}
+ */
+export function getActiveElement(root = document) {
+  let active = root.activeElement;
+  
+  while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+    active = active.shadowRoot.activeElement;
+  }
+  
+  return active;
+}
+
+/**
+ * Get tabbable elements within container in sequential navigation order:
+ * positive tabindex values first (ascending), then document order.
+ * Honours inert, closed <details>, disabled fieldsets, radio groups
+ * and open shadow roots.
+ * @param {Element} container
+ * @returns {Element[]}
+ */
+export function getTabbable(container) {
+  const candidates = [];
+  collectCandidates(container, candidates);
+  
+  const tabbable = candidates.filter(el => isTabbable(el) && isFirstInRadioGroup(el, candidates));
+  const positive = tabbable.filter(el => getTabIndex(el) > 0);
+  
+  if (!positive.length) return tabbable;
+  
+  // Array sort is stable, so equal values keep document order
+  positive.sort((a, b) => getTabIndex(a) - getTabIndex(b));
+  return [...positive, ...tabbable.filter(el => getTabIndex(el) === 0)];
+}
+
+/**
+ * Check if element takes part in sequential keyboard navigation
+ * @param {Element} element
+ * @returns {boolean}
+ */
+export function isTabbable(element) {
+  if (!element.matches(TABBABLE_SELECTOR)) return false;
+  if (getTabIndex(element) < 0) return false;
+  if (element.matches(':disabled')) return false;
+  
+  // Only the first summary of a <details> is interactive
+  if (element.localName === 'summary') {
+    const details = element.parentElement;
+    if (!details || details.localName !== 'details' ||
+        details.querySelector(':scope > summary') !== element) {
+      return false;
+    }
+  }
+  
+  return isVisible(element);
+}
+
+/**
+ * Trap focus within element.
+ * Boundaries are recomputed on every Tab so content added after the trap
+ * was created is included. Focus that escapes through a click or a
+ * programmatic focus() call is pulled back. Traps nest: creating a trap
+ * pauses the current one until the new trap is released.
+ * @param {Element} element
+ * @param {Object} [options]
+ * @param {Element} [options.fallbackFocus=element] - Focused when there is nothing tabbable
+ * @returns {Function} - Cleanup function
+ */
+export function trapFocus(element, { fallbackFocus = element } = {}) {
+  const trap = {
+    element,
+    fallbackFocus,
+    lastFocused: null
+  };
+  
+  const active = getActiveElement();
+  if (active && containsNode(element, active)) {
+    trap.lastFocused = active;
+  }
+  
+  trapStack.push(trap);
+  bindDocumentListeners();
+  
+  return () => {
+    const index = trapStack.indexOf(trap);
+    if (index !== -1) {
+      trapStack.splice(index, 1);
+    }
+    if (!trapStack.length) {
+      unbindDocumentListeners();
+    }
+  };
+}
+
+/**
+ * Let a floating element rendered outside a trap (e.g. appended to <body>)
+ * receive focus while its owner is inside the active trap. Elements the
+ * owner points at through aria-describedby, aria-controls or aria-owns are
+ * allowed without registering.
+ * @param {Element} floating
+ * @param {Element} owner - Element the floating element belongs to
+ * @returns {Function} - Unregister function
+ */
+export function registerFocusPortal(floating, owner) {
+  portals.set(floating, owner);
+  
+  return () => {
+    if (portals.get(floating) === owner) {
+      portals.delete(floating);
+    }
+  };
+}
+
+/**
+ * Get the innermost (enforced) trap
+ * @returns {Object|undefined}
+ */
+function getActiveTrap() {
+  return trapStack[trapStack.length - 1];
+}
+
+/**
+ * Install the shared document listeners used by all traps
+ */
+function bindDocumentListeners() {
+  if (documentListeners) return;
+  
+  documentListeners = {
+    keydown: handleKeydown,
+    focusin: handleFocusIn,
+    focusout: handleFocusOut
+  };
+  
+  for (const [type, handler] of Object.entries(documentListeners)) {
+    document.addEventListener(type, handler, true);
+  }
+}
+
+/**
+ * Remove the shared document listeners
+ */
+function unbindDocumentListeners() {
+  if (!documentListeners) return;
+  
+  for (const [type, handler] of Object.entries(documentListeners)) {
+    document.removeEventListener(type, handler, true);
+  }
+  documentListeners = null;
+}
+
+/**
+ * Wrap Tab / Shift+Tab at the current boundaries of the active trap
+ * @param {KeyboardEvent} event
+ */
+function handleKeydown(event) {
+  if (event.key !== 'Tab') return;
+  
+  const trap = getActiveTrap();
+  if (!trap) return;
+  
+  // Tabbing within a floating element of the trap is left to the browser,
+  // focus leaving it for the page is pulled back by handleFocusIn()
+  if (isOwnedByTrap(trap, getActiveElement())) return;
+  
+  const tabbable = getTabbable(trap.element);
+  
+  if (tabbable.length === 0) {
+    event.preventDefault();
+    focusElement(trap.fallbackFocus);
+    return;
+  }
+  
+  const first = tabbable[0];
+  const last = tabbable[tabbable.length - 1];
+  const active = getActiveElement();
+  const isInside = active && containsNode(trap.element, active);
+  
+  if (event.shiftKey) {
+    if (!isInside || active === first || active === trap.element) {
+      event.preventDefault();
+      focusElement(last);
+    }
+  } else if (!isInside || active === last) {
+    event.preventDefault();
+    focusElement(first);
+  }
+}
+
+/**
+ * Pull focus back when it moves outside the active trap
+ * (mouse click, programmatic focus(), native tabbing out of an iframe...)
+ * @param {FocusEvent} event
+ */
+function handleFocusIn(event) {
+  const trap = getActiveTrap();
+  if (!trap) return;
+  
+  const target = event.composedPath ? event.composedPath()[0] : event.target;
+  
+  if (containsNode(trap.element, target)) {
+    trap.lastFocused = target;
+    return;
+  }
+  
+  // Tooltip, popover or menu opened from inside the trap
+  if (isOwnedByTrap(trap, target)) return;
+  
+  // Focus moved into an element of a paused (outer) trap or elsewhere
+  restoreTrapFocus(trap);
+}
+
+/**
+ * Catch focus that is dropped on <body> (e.g. clicking a non-focusable area
+ * outside the trap, or the focused element being removed)
+ * @param {FocusEvent} event
+ */
+function handleFocusOut(event) {
+  const trap = getActiveTrap();
+  if (!trap || event.relatedTarget) return;
+  if (!containsNode(trap.element, event.target)) return;
+  
+  setTimeout(() => {
+    const active = document.activeElement;
+    if (getActiveTrap() === trap && (!active || active === document.body)) {
+      restoreTrapFocus(trap);
+    }
+  }, 0);
+}
+
+/**
+ * Check if node is inside a floating element owned by an element of the trap
+ * @param {Object} trap
+ * @param {Node} node
+ * @returns {boolean}
+ */
+function isOwnedByTrap(trap, node) {
+  const seen = new Set();
+  let current = node;
+  
+  while (current && !seen.has(current)) {
+    seen.add(current);
+    
+    const owner = getOwner(current);
+    if (owner) {
+      if (containsNode(trap.element, owner)) return true;
+      
+      // Floating element opened from another floating element of the trap
+      current = owner;
+      continue;
+    }
+    
+    current = current.parentNode || current.host || null;
+  }
+  
+  return false;
+}
+
+/**
+ * Get the element a floating element belongs to
+ * @param {Node} node
+ * @returns {Element|null}
+ */
+function getOwner(node) {
+  if (portals.has(node)) return portals.get(node);
+  if (!node.id || node.nodeType !== Node.ELEMENT_NODE) return null;
+  
+  const id = CSS.escape(node.id);
+  const selector = OWNER_ATTRIBUTES.map(attr => `[${attr}~="${id}"]`).join(',');
+  const root = node.getRootNode();
+  const owner = root.querySelector ? root.querySelector(selector) : null;
+  
+  return owner && owner !== node ? owner : null;
+}
+
+/**
+ * Move focus back into trap
+ * @param {Object} trap
+ */
+function restoreTrapFocus(trap) {
+  const { lastFocused } = trap;
+  
+  if (lastFocused && lastFocused.isConnected && containsNode(trap.element, lastFocused) &&
+      isVisible(lastFocused)) {
+    focusElement(lastFocused);
+    return;
+  }
+  
+  focusElement(getTabbable(trap.element)[0] || trap.fallbackFocus);
+}
+
+/**
+ * Focus element without scrolling the page
+ * @param {Element} element
+ */
+function focusElement(element) {
+  if (element && typeof element.focus === 'function') {
+    element.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Walk the tree in document order collecting candidates
+ * @param {Element|ShadowRoot} root
+ * @param {Element[]} result
+ */
+function collectCandidates(root, result) {
+  for (const child of root.children) {
+    // Inert subtrees cannot receive focus at all
+    if (child.inert || child.hasAttribute('inert')) continue;
+    
+    if (child.matches(TABBABLE_SELECTOR)) {
+      result.push(child);
+    }
+    
+    // Content of a closed <details> (other than its summary) is not rendered
+    if (child.localName === 'details' && !child.open) {
+      const summary = child.querySelector(':scope > summary');
+      if (summary && !summary.hasAttribute('inert')) {
+        result.push(summary);
+        collectCandidates(summary, result);
+      }
+      continue;
+    }
+    
+    if (child.shadowRoot) {
+      collectCandidates(child.shadowRoot, result);
+    }
+    
+    collectCandidates(child, result);
+  }
+}
+
+/**
+ * Get effective tab index
+ * @param {Element} element
+ * @returns {number}
+ */
+function getTabIndex(element) {
+  const attr = element.getAttribute('tabindex');
+  if (attr !== null) {
+    const value = parseInt(attr, 10);
+    return isNaN(value) ? 0 : value;
+  }
+  
+  // contenteditable and media controls report -1 in some browsers
+  if (element.isContentEditable || element.matches('audio[controls], video[controls], summary')) {
+    return 0;
+  }
+  
+  return element.tabIndex;
+}
+
+/**
+ * Only one radio button per named group is tabbable: the checked one,
+ * or the first one when none is checked
+ * @param {Element} element
+ * @param {Element[]} candidates
+ * @returns {boolean}
+ */
+function isFirstInRadioGroup(element, candidates) {
+  if (element.localName !== 'input' || element.type !== 'radio' || !element.name) {
+    return true;
+  }
+  
+  const group = candidates.filter(el => el.localName === 'input' &&
+    el.type === 'radio' && el.name === element.name && el.form === element.form);
+  const checked = group.find(el => el.checked);
+  
+  return checked ? checked === element : group[0] === element;
+}
+
+/**
+ * Check if element is rendered and visible
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isVisible(element) {
+  if (!element.getClientRects().length) return false;
+  return getComputedStyle(element).visibility !== 'hidden';
+}
+
+/**
+ * Shadow-including containment check
+ * @param {Element} container
+ * @param {Node} node
+ * @returns {boolean}
+ */
+function containsNode(container, node) {
+  let current = node;
+  
+  while (current) {
+    if (current === container) return true;
+    current = current.parentNode || current.host || null;
+  }
+  
+  return false;
+}
+
+export default {
+  getActiveElement,
+  getTabbable,
+  isTabbable,
+  trapFocus,
+  registerFocusPortal
+};
@@ -9,6 +9,8 @@ export * from './dom.js';
 export * from './events.js';
 export * from './animation.js';
 export * from './position.js';
+export * from './focus.js';
+export * from './persist.js';
 
 // Re-export JQNext
 export { $ };
@@ -18,6 +20,8 @@ export { default as DOM } from './dom.js';
 export { default as Events } from './events.js';
 export { default as Animation } from './animation.js';
 export { default as Position } from './position.js';
+export { default as Focus } from './focus.js';
+export { default as Persist } from './persist.js';
 
 /**
  * Store component instance on element using JQNext's data system
@@ -132,6 +136,48 @@ export function isDisabled(element) {
   return false;
 }
 
+/**
+ * Remember the focused element so focus can be returned to it later
+ * @param {Element} [fallback] - Element to focus if the original one is gone
+ * @returns {Function} - Restore function. When given a container, focus is only
+ *   restored if it is still inside that container or has been lost to <body>.
+ *   If neither element can take focus any more, focus is dropped from the container.
+ */
+export function rememberFocus(fallback = null) {
+  const previous = document.activeElement;
+  
+  return (container = null) => {
+    const active = document.activeElement;
+    const isLost = !active || active === document.body;
+    
+    // Focus was moved elsewhere on purpose - leave it there
+    if (container && !isLost && !container.contains(active)) return false;
+    
+    const target = [previous, fallback].find(isFocusTarget);
+    if (!target) {
+      // Invoker and fallback are gone: don't leave focus in the closed container
+      if (container && !isLost) active.blur();
+      return false;
+    }
+    
+    target.focus({ preventScroll: true });
+    return document.activeElement === target;
+  };
+}
+
+/**
+ * Check if element can receive restored focus
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isFocusTarget(element) {
+  return !!element &&
+    element !== document.body &&
+    element.isConnected &&
+    typeof element.focus === 'function' &&
+    !element.hasAttribute('disabled');
+}
+
 /**
  * Execute callback or return selector element
  * @param {string|Element|Function} value 
@@ -146,58 +192,6 @@ export function getElement(value, context = document) {
   return null;
 }
 
-/**
- * Trap focus within element
- * @param {Element} element 
- * @returns {Function} - Cleanup function
- */
-export function trapFocus(element) {
-  const focusable = getFocusable(element);
-  if (focusable.length === 0) return () => {};
-  
-  const firstFocusable = focusable[0];
-  const lastFocusable = focusable[focusable.length - 1];
-  
-  const handleKeydown = (e) => {
-    if (e.key !== 'Tab') return;
-    
-    if (e.shiftKey) {
-      if (document.activeElement === firstFocusable) {
-        e.preventDefault();
-        lastFocusable.focus();
-      }
-    } else {
-      if (document.activeElement === lastFocusable) {
-        e.preventDefault();
-        firstFocusable.focus();
-      }
-    }
-  };
-  
-  element.addEventListener('keydown', handleKeydown);
-  return () => element.removeEventListener('keydown', handleKeydown);
-}
-
-/**
- * Get focusable elements within container
- * @param {Element} container 
- * @returns {Element[]}
- */
-function getFocusable(container) {
-  const selector = [
-    'a[href]',
-    'button:not([disabled])',
-    'input:not([disabled]):not([type="hidden"])',
-    'select:not([disabled])',
-    'textarea:not([disabled])',
-    '[tabindex]:not([tabindex="-1"])'
-  ].join(',');
-  
-  return Array.from(container.querySelectorAll(selector)).filter(el => {
-    return el.offsetWidth > 0 || el.offsetHeight > 0;
-  });
-}
-
 /**
  * Merge configuration objects deeply
  * @param {Object} target 
@@ -0,0 +1,133 @@
+/**
+ * Sandal - State Persistence Utilities
+ * Remembers component state (active tab, open panels) across page loads
+ * through a pluggable storage adapter
+ */
+
+const KEY_PREFIX = 'sandal';
+
+/**
+ * Built-in storage adapters, resolved lazily since accessing
+ * Web Storage throws when it is disabled
+ */
+const STORAGE_ADAPTERS = {
+  local: () => window.localStorage,
+  session: () => window.sessionStorage
+};
+
+let storageAdapter = 'local';
+let storageNamespace = () => window.location.pathname;
+
+/**
+ * Resolve the current storage adapter
+ * @returns {Storage|Object|null}
+ */
+function getStorage() {
+  try {
+    return typeof storageAdapter === 'string'
+      ? STORAGE_ADAPTERS[storageAdapter]()
+      : storageAdapter;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the storage key prefix for the current namespace
+ * @returns {string}
+ */
+function getKeyPrefix() {
+  const namespace = typeof storageNamespace === 'function' ? storageNamespace() : storageNamespace;
+  return namespace ? `${KEY_PREFIX}:${namespace}:` : `${KEY_PREFIX}:`;
+}
+
+/**
+ * Use another storage for persisted state
+ * @param {'local'|'session'|Object} adapter - A built-in adapter or any object
+ *   implementing getItem/setItem/removeItem (plus key/length to clear all keys)
+ */
+export function setPersistStorage(adapter) {
+  if (typeof adapter === 'string' && !STORAGE_ADAPTERS[adapter]) {
+    throw new Error(`Unknown persist storage "${adapter}"`);
+  }
+  storageAdapter = adapter;
+}
+
+/**
+ * Set the namespace keys are stored under. Defaults to the page path so
+ * the same key on two pages keeps separate state; null shares it site-wide.
+ * @param {string|Function|null} namespace
+ */
+export function setPersistNamespace(namespace) {
+  storageNamespace = namespace;
+}
+
+/**
+ * Read persisted state
+ * @param {string} key
+ * @returns {*} The stored value, or null
+ */
+export function getPersistedState(key) {
+  const storage = getStorage();
+  if (!storage) return null;
+  
+  try {
+    const value = storage.getItem(getKeyPrefix() + key);
+    return value === null || value === undefined ? null : JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Persist state
+ * @param {string} key
+ * @param {*} value - JSON-serializable value
+ */
+export function setPersistedState(key, value) {
+  const storage = getStorage();
+  if (!storage) return;
+  
+  try {
+    storage.setItem(getKeyPrefix() + key, JSON.stringify(value));
+  } catch {
+    // Quota exceeded or storage unavailable - state just won't persist
+  }
+}
+
+/**
+ * Forget persisted state
+ * @param {string} [key] - Omit to clear every key in the current namespace
+ */
+export function clearPersistedState(key) {
+  const storage = getStorage();
+  if (!storage) return;
+  
+  const prefix = getKeyPrefix();
+  
+  try {
+    if (key !== undefined) {
+      storage.removeItem(prefix + key);
+      return;
+    }
+    
+    if (typeof storage.key !== 'function') return;
+    
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const storedKey = storage.key(i);
+      if (storedKey && storedKey.startsWith(prefix)) keys.push(storedKey);
+    }
+    keys.forEach(storedKey => storage.removeItem(storedKey));
+  } catch {
+    // Storage unavailable
+  }
+}
+
+export default {
+  setPersistStorage,
+  setPersistNamespace,
+  getPersistedState,
+  setPersistedState,
+  clearPersistedState
+};
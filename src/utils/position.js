@@ -32,30 +32,79 @@ function getFloatingUI() {
 }
 
 /**
- * Bootstrap placement to Floating UI placement mapping
+ * Opposite sides, used for flipping
  */
-const PLACEMENT_MAP = {
-  top: 'top',
-  bottom: 'bottom',
-  left: 'left',
-  right: 'right',
-  auto: 'top' // Default for auto
+const OPPOSITE_SIDE = {
+  top: 'bottom',
+  bottom: 'top',
+  left: 'right',
+  right: 'left'
 };
 
+/**
+ * Perpendicular sides, used for flipping across the other axis
+ */
+const CROSS_SIDES = {
+  top: ['right', 'left'],
+  bottom: ['right', 'left'],
+  left: ['top', 'bottom'],
+  right: ['top', 'bottom']
+};
+
+/**
+ * Distance between the reference and the floating element when no offset is given
+ */
+const DEFAULT_OFFSET = 0;
+
+/**
+ * Parse a Bootstrap ('auto left', 'left auto', 'auto') or
+ * Floating UI ('top-start') placement
+ * @param {string} [placement='top'] 
+ * @returns {{side: string, alignment: string|undefined, auto: boolean}}
+ */
+export function parsePlacement(placement = 'top') {
+  const tokens = String(placement).trim().toLowerCase().split(/\s+/);
+  const auto = tokens.includes('auto');
+  const [side, alignment] = (tokens.find(token => token !== 'auto') || 'top').split('-');
+  
+  return {
+    side: OPPOSITE_SIDE[side] ? side : 'top',
+    alignment: alignment === 'start' || alignment === 'end' ? alignment : undefined,
+    auto
+  };
+}
+
 /**
  * Calculate position using Floating UI
- * @param {Element} reference - Reference element (trigger)
+ * @param {Element|Object} reference - Reference element (trigger), or a virtual element:
+ *   { getBoundingClientRect(), contextElement } (see createVirtualReference())
  * @param {Element} floating - Floating element (tooltip/popover)
  * @param {Object} options 
- * @returns {Promise<{x: number, y: number, placement: string}>}
+ * @param {string} [options.placement='top'] - Side with optional -start/-end alignment, 'auto <side>'
+ *   keeps the side if it fits, otherwise takes the one with the most room
+ * @param {number} [options.offset=0] - Distance from the reference
+ * @param {boolean} [options.flip=true] - Flip to the opposite side when there is no room
+ * @param {boolean} [options.flipCrossAxis=true] - Also try the perpendicular sides when the opposite
+ *   side has no room either
+ * @param {boolean} [options.shift=true] - Shift along the side to stay within the boundary
+ * @param {string|Element|Array} [options.boundary] - 'scrollParent', 'viewport', selector or element,
+ *   or a list of those (the floating element is kept within all of them)
+ * @param {number} [options.padding=5] - Minimum distance from the boundary edges
+ * @param {Element} [options.arrow] - Arrow element inside floating, see positionArrow()
+ * @param {number} [options.arrowPadding=5] - Minimum distance of the arrow from the floating element edges
+ * @returns {Promise<{x: number, y: number, placement: string, middlewareData: Object}>}
  */
 export async function computePosition(reference, floating, options = {}) {
   const {
     placement = 'top',
-    offset: offsetValue = 0,
+    offset: offsetValue = DEFAULT_OFFSET,
     flip = true,
+    flipCrossAxis = true,
     shift = true,
     arrow = null,
+    arrowPadding = 5,
+    boundary,
+    padding = 5,
     container = null
   } = options;
 
@@ -64,25 +113,42 @@ export async function computePosition(reference, floating, options = {}) {
   if (fui && fui.computePosition) {
     // Use Floating UI
     const middleware = [];
+    const detectOverflowOptions = getDetectOverflowOptions(boundary, reference);
     
     if (offsetValue) {
       middleware.push(fui.offset(offsetValue));
     }
     
-    if (flip) {
-      middleware.push(fui.flip());
+    const parsed = parsePlacement(placement);
+    const { alignment } = parsed;
+    const withAlignment = s => alignment ? `${s}-${alignment}` : s;
+    
+    // Auto placement picks its side the same way as the fallback, then always flips
+    const side = parsed.auto
+      ? getAutoSide(parsed.side, reference.getBoundingClientRect(), floating.getBoundingClientRect(),
+          getBoundaryRect(boundary, reference), padding, offsetValue)
+      : parsed.side;
+    
+    if (flip || parsed.auto) {
+      const fallbackSides = [OPPOSITE_SIDE[side], ...(flipCrossAxis ? CROSS_SIDES[side] : [])];
+      
+      middleware.push(fui.flip({
+        padding,
+        fallbackPlacements: fallbackSides.map(withAlignment),
+        ...detectOverflowOptions
+      }));
     }
     
     if (shift) {
-      middleware.push(fui.shift({ padding: 5 }));
+      middleware.push(fui.shift({ padding, ...detectOverflowOptions }));
     }
     
     if (arrow) {
-      middleware.push(fui.arrow({ element: arrow }));
+      middleware.push(fui.arrow({ element: arrow, padding: arrowPadding }));
     }
     
     const result = await fui.computePosition(reference, floating, {
-      placement: PLACEMENT_MAP[placement] || placement,
+      placement: withAlignment(side),
       middleware
     });
     
@@ -100,98 +166,371 @@ export async function computePosition(reference, floating, options = {}) {
 
 /**
  * Fallback positioning without Floating UI
+ * Supports the same placements as Floating UI plus Bootstrap's 'auto <side>':
+ * the side is preferred, otherwise the side with the most room is used.
  * @param {Element} reference 
  * @param {Element} floating 
  * @param {Object} options 
- * @returns {{x: number, y: number, placement: string}}
+ * @returns {{x: number, y: number, placement: string, middlewareData: Object}}
  */
 function computePositionFallback(reference, floating, options = {}) {
-  const { placement = 'top', offset: offsetValue = 10 } = options;
+  const {
+    placement = 'top',
+    offset: offsetValue = DEFAULT_OFFSET,
+    flip = true,
+    flipCrossAxis = true,
+    shift = true,
+    arrow = null,
+    arrowPadding = 5,
+    boundary = 'viewport',
+    padding = 5
+  } = options;
   
   const refRect = reference.getBoundingClientRect();
   const floatRect = floating.getBoundingClientRect();
-  const scrollX = window.scrollX || document.documentElement.scrollLeft;
-  const scrollY = window.scrollY || document.documentElement.scrollTop;
+  const bounds = getBoundaryRect(boundary, reference);
+  
+  const parsed = parsePlacement(placement);
+  let { side, alignment } = parsed;
+  
+  const getRoom = s => getRoomOnSide(s, refRect, floatRect, bounds, padding, offsetValue);
+  
+  if (parsed.auto) {
+    side = getAutoSide(side, refRect, floatRect, bounds, padding, offsetValue);
+  } else if (flip && getRoom(side) < 0) {
+    // Flip: opposite side first, then (optionally) the other axis
+    const fallbackSides = [OPPOSITE_SIDE[side], ...(flipCrossAxis ? CROSS_SIDES[side] : [])];
+    side = fallbackSides.find(s => getRoom(s) >= 0) || side;
+  }
+  
+  let { x, y } = getPlacementCoords(refRect, floatRect, side, alignment, offsetValue);
+  
+  // Flip alignment (start <-> end) when it overflows the boundary on the cross axis
+  if (flip && alignment && overflowsCrossAxis({ x, y }, floatRect, side, bounds, padding)) {
+    const otherAlignment = alignment === 'start' ? 'end' : 'start';
+    const flipped = getPlacementCoords(refRect, floatRect, side, otherAlignment, offsetValue);
+    
+    if (!overflowsCrossAxis(flipped, floatRect, side, bounds, padding)) {
+      ({ x, y } = flipped);
+      alignment = otherAlignment;
+    }
+  }
+  
+  // Shift: keep within boundary along the placement side
+  if (shift) {
+    if (side === 'top' || side === 'bottom') {
+      x = Math.max(bounds.left + padding, Math.min(x, bounds.right - floatRect.width - padding));
+    } else {
+      y = Math.max(bounds.top + padding, Math.min(y, bounds.bottom - floatRect.height - padding));
+    }
+  }
+  
+  const middlewareData = {};
+  
+  if (arrow) {
+    middlewareData.arrow = getArrowCoords(arrow, floating, refRect, { x, y }, side, arrowPadding);
+  }
+  
+  // Convert viewport coordinates for absolute positioning
+  const coords = toOffsetParentCoords(floating, x, y);
+  
+  return {
+    x: coords.x,
+    y: coords.y,
+    placement: alignment ? `${side}-${alignment}` : side,
+    middlewareData
+  };
+}
+
+/**
+ * Room left on a side once the floating element is placed there
+ * @param {string} side 
+ * @param {DOMRect} refRect 
+ * @param {DOMRect} floatRect 
+ * @param {Object} bounds 
+ * @param {number} padding 
+ * @param {number} offset 
+ * @returns {number} - Negative when it doesn't fit
+ */
+function getRoomOnSide(side, refRect, floatRect, bounds, padding, offset) {
+  return getAvailableSpace(refRect, bounds, side) - padding - offset -
+    (side === 'top' || side === 'bottom' ? floatRect.height : floatRect.width);
+}
+
+/**
+ * Side for an 'auto' placement: the preferred side if it fits,
+ * otherwise the one with the most room
+ * @param {string} side - Preferred side
+ * @param {DOMRect} refRect 
+ * @param {DOMRect} floatRect 
+ * @param {Object} bounds 
+ * @param {number} padding 
+ * @param {number} offset 
+ * @returns {string}
+ */
+function getAutoSide(side, refRect, floatRect, bounds, padding, offset) {
+  const getRoom = s => getRoomOnSide(s, refRect, floatRect, bounds, padding, offset);
+  
+  if (getRoom(side) >= 0) return side;
+  
+  return Object.keys(OPPOSITE_SIDE)
+    .filter(s => s !== side)
+    .sort((a, b) => getRoom(b) - getRoom(a))[0];
+}
+
+/**
+ * Space between the reference and the boundary edge on a side
+ * @param {DOMRect} refRect 
+ * @param {Object} bounds 
+ * @param {string} side 
+ * @returns {number}
+ */
+function getAvailableSpace(refRect, bounds, side) {
+  switch (side) {
+    case 'top':
+      return refRect.top - bounds.top;
+    case 'bottom':
+      return bounds.bottom - refRect.bottom;
+    case 'left':
+      return refRect.left - bounds.left;
+    case 'right':
+    default:
+      return bounds.right - refRect.right;
+  }
+}
+
+/**
+ * Check if floating element overflows the boundary across its placement side
+ * @param {{x: number, y: number}} coords 
+ * @param {DOMRect} floatRect 
+ * @param {string} side 
+ * @param {Object} bounds 
+ * @param {number} padding 
+ * @returns {boolean}
+ */
+function overflowsCrossAxis({ x, y }, floatRect, side, bounds, padding) {
+  if (side === 'top' || side === 'bottom') {
+    return x < bounds.left + padding || x + floatRect.width > bounds.right - padding;
+  }
+  return y < bounds.top + padding || y + floatRect.height > bounds.bottom - padding;
+}
+
+/**
+ * Arrow offset within the floating element so it points at the reference centre
+ * (same shape as Floating UI's middlewareData.arrow)
+ * @param {Element} arrow 
+ * @param {Element} floating 
+ * @param {DOMRect} refRect 
+ * @param {{x: number, y: number}} coords - Viewport coordinates of floating element
+ * @param {string} side 
+ * @param {number} arrowPadding 
+ * @returns {{x?: number, y?: number, centerOffset: number}}
+ */
+function getArrowCoords(arrow, floating, refRect, coords, side, arrowPadding) {
+  const isVertical = side === 'top' || side === 'bottom';
   
+  const arrowSize = isVertical ? arrow.offsetWidth : arrow.offsetHeight;
+  const floatSize = isVertical ? floating.clientWidth : floating.clientHeight;
+  
+  // Arrow is positioned relative to the floating element's padding box
+  const start = isVertical ? coords.x + floating.clientLeft : coords.y + floating.clientTop;
+  const refCenter = isVertical
+    ? refRect.left + refRect.width / 2
+    : refRect.top + refRect.height / 2;
+  
+  const center = refCenter - start - arrowSize / 2;
+  const max = Math.max(arrowPadding, floatSize - arrowSize - arrowPadding);
+  const offset = Math.min(Math.max(center, arrowPadding), max);
+  
+  return {
+    [isVertical ? 'x' : 'y']: offset,
+    centerOffset: center - offset
+  };
+}
+
+/**
+ * Viewport coordinates of floating element for a given side
+ * @param {DOMRect} refRect 
+ * @param {DOMRect} floatRect 
+ * @param {string} side - top, bottom, left or right
+ * @param {string} [alignment] - start or end
+ * @param {number} offsetValue 
+ * @returns {{x: number, y: number}}
+ */
+function getPlacementCoords(refRect, floatRect, side, alignment, offsetValue) {
+  const isVertical = side === 'top' || side === 'bottom';
   let x, y;
-  let finalPlacement = placement;
   
-  // Calculate base position
-  switch (placement) {
+  switch (side) {
     case 'top':
-      x = refRect.left + (refRect.width - floatRect.width) / 2;
       y = refRect.top - floatRect.height - offsetValue;
       break;
     case 'bottom':
-      x = refRect.left + (refRect.width - floatRect.width) / 2;
       y = refRect.bottom + offsetValue;
       break;
     case 'left':
       x = refRect.left - floatRect.width - offsetValue;
-      y = refRect.top + (refRect.height - floatRect.height) / 2;
       break;
     case 'right':
+    default:
       x = refRect.right + offsetValue;
-      y = refRect.top + (refRect.height - floatRect.height) / 2;
       break;
-    case 'auto':
-    default:
-      // Auto: try top first, then bottom
+  }
+  
+  // Cross axis alignment
+  if (isVertical) {
+    if (alignment === 'start') {
+      x = refRect.left;
+    } else if (alignment === 'end') {
+      x = refRect.right - floatRect.width;
+    } else {
       x = refRect.left + (refRect.width - floatRect.width) / 2;
-      y = refRect.top - floatRect.height - offsetValue;
-      
-      // Check if it would go above viewport
-      if (y < 0) {
-        y = refRect.bottom + offsetValue;
-        finalPlacement = 'bottom';
-      } else {
-        finalPlacement = 'top';
-      }
-      break;
+    }
+  } else if (alignment === 'start') {
+    y = refRect.top;
+  } else if (alignment === 'end') {
+    y = refRect.bottom - floatRect.height;
+  } else {
+    y = refRect.top + (refRect.height - floatRect.height) / 2;
   }
   
-  // Simple flip: check if it goes off-screen
-  const viewport = {
-    width: window.innerWidth,
-    height: window.innerHeight
+  return { x, y };
+}
+
+/**
+ * Convert viewport coordinates to the floating element's offset parent
+ * @param {Element} floating 
+ * @param {number} x 
+ * @param {number} y 
+ * @returns {{x: number, y: number}}
+ */
+function toOffsetParentCoords(floating, x, y) {
+  const offsetParent = floating.offsetParent;
+  
+  if (!offsetParent || offsetParent === document.body || offsetParent === document.documentElement) {
+    // Add scroll offset for document positioning
+    const scrollX = window.scrollX || document.documentElement.scrollLeft;
+    const scrollY = window.scrollY || document.documentElement.scrollTop;
+    return { x: x + scrollX, y: y + scrollY };
+  }
+  
+  const parentRect = offsetParent.getBoundingClientRect();
+  return {
+    x: x - parentRect.left - offsetParent.clientLeft + offsetParent.scrollLeft,
+    y: y - parentRect.top - offsetParent.clientTop + offsetParent.scrollTop
+  };
+}
+
+/**
+ * Create a virtual reference (e.g. at the pointer) for computePosition()
+ * @param {Function} getRect - Returns the reference rect in viewport coordinates: {x, y, width, height}
+ * @param {Element} [contextElement] - Element the virtual reference belongs to (for scroll parents)
+ * @returns {{getBoundingClientRect: Function, contextElement: Element|undefined}}
+ */
+export function createVirtualReference(getRect, contextElement) {
+  return {
+    getBoundingClientRect() {
+      const { x, y, width = 0, height = 0 } = getRect();
+      return {
+        x,
+        y,
+        top: y,
+        left: x,
+        right: x + width,
+        bottom: y + height,
+        width,
+        height
+      };
+    },
+    contextElement
   };
+}
+
+/**
+ * Resolve boundary option to an element (null means the viewport)
+ * @param {string|Element} boundary - 'scrollParent', 'viewport', 'window', selector or element
+ * @param {Element|Object} reference - Element or virtual reference
+ * @returns {Element|null}
+ */
+export function getBoundaryElement(boundary, reference) {
+  let element = null;
   
-  // Flip vertical
-  if ((finalPlacement === 'top' && y < 0) || 
-      (finalPlacement === 'bottom' && y + floatRect.height > viewport.height)) {
-    if (finalPlacement === 'top') {
-      y = refRect.bottom + offsetValue;
-      finalPlacement = 'bottom';
-    } else {
-      y = refRect.top - floatRect.height - offsetValue;
-      finalPlacement = 'top';
-    }
+  if (boundary === 'scrollParent') {
+    const context = reference instanceof Element ? reference : reference?.contextElement;
+    element = context ? getScrollParents(context)[0] || null : null;
+  } else if (boundary instanceof Element) {
+    element = boundary;
+  } else if (typeof boundary === 'string' && boundary !== 'viewport' && boundary !== 'window') {
+    element = document.querySelector(boundary);
   }
   
-  // Flip horizontal
-  if ((finalPlacement === 'left' && x < 0) || 
-      (finalPlacement === 'right' && x + floatRect.width > viewport.width)) {
-    if (finalPlacement === 'left') {
-      x = refRect.right + offsetValue;
-      finalPlacement = 'right';
-    } else {
-      x = refRect.left - floatRect.width - offsetValue;
-      finalPlacement = 'left';
-    }
+  if (element === document.body || element === document.documentElement) {
+    return null;
   }
   
-  // Shift: keep within viewport bounds
-  x = Math.max(5, Math.min(x, viewport.width - floatRect.width - 5));
-  y = Math.max(5, Math.min(y, viewport.height - floatRect.height - 5));
+  return element;
+}
+
+/**
+ * Resolve boundary option (or list of them) to elements, viewport entries are dropped
+ * @param {string|Element|Array} boundary 
+ * @param {Element} reference 
+ * @returns {Element[]}
+ */
+function getBoundaryElements(boundary, reference) {
+  const boundaries = Array.isArray(boundary) ? boundary : [boundary];
+  
+  return boundaries
+    .map(item => getBoundaryElement(item, reference))
+    .filter((element, index, elements) => element && elements.indexOf(element) === index);
+}
+
+/**
+ * Get boundary rectangle in viewport coordinates
+ * @param {string|Element|Array} boundary - A list of boundaries gives their intersection
+ * @param {Element} reference 
+ * @returns {{top: number, right: number, bottom: number, left: number, width: number, height: number}}
+ */
+export function getBoundaryRect(boundary, reference) {
+  let { top, right, bottom, left } = getViewportRect();
+  
+  // Client area (without borders and scrollbars), clipped to the viewport
+  for (const element of getBoundaryElements(boundary, reference)) {
+    const rect = element.getBoundingClientRect();
+    left = Math.max(rect.left + element.clientLeft, left);
+    top = Math.max(rect.top + element.clientTop, top);
+    right = Math.min(rect.left + element.clientLeft + element.clientWidth, right);
+    bottom = Math.min(rect.top + element.clientTop + element.clientHeight, bottom);
+  }
   
-  // Add scroll offset for absolute positioning
   return {
-    x: x + scrollX,
-    y: y + scrollY,
-    placement: finalPlacement
+    top,
+    right,
+    bottom,
+    left,
+    width: right - left,
+    height: bottom - top
   };
 }
 
+/**
+ * Floating UI detectOverflow options for a boundary
+ * @param {string|Element|Array} [boundary] 
+ * @param {Element} reference 
+ * @returns {Object}
+ */
+function getDetectOverflowOptions(boundary, reference) {
+  if (boundary === undefined || boundary === null) return {};
+  
+  const elements = getBoundaryElements(boundary, reference);
+  
+  if (elements.length === 0) {
+    return { rootBoundary: 'viewport' };
+  }
+  
+  return { boundary: elements.length === 1 ? elements[0] : elements };
+}
+
 /**
  * Apply position to floating element
  * @param {Element} floating 
@@ -202,34 +541,34 @@ export function applyPosition(floating, { x, y }) {
     position: 'absolute',
     left: `${x}px`,
     top: `${y}px`,
+    right: 'auto',
+    bottom: 'auto',
     margin: '0'
   });
 }
 
 /**
- * Position arrow element
+ * Position arrow element along the floating element's edge.
+ * Only the cross axis is set; the side the arrow sits on (and its
+ * distance from the edge) is left to the stylesheet, like Bootstrap 3.
  * @param {Element} arrow 
- * @param {Object} middlewareData 
+ * @param {Object} middlewareData - From computePosition()
  * @param {string} placement 
  */
 export function positionArrow(arrow, middlewareData, placement) {
   if (!arrow || !middlewareData?.arrow) return;
   
   const { x, y } = middlewareData.arrow;
+  const isVertical = ['top', 'bottom'].includes(placement.split('-')[0]);
   
-  const staticSide = {
-    top: 'bottom',
-    right: 'left',
-    bottom: 'top',
-    left: 'right'
-  }[placement.split('-')[0]];
-  
+  // Offsets are to the arrow's edge, so the centring margin from the stylesheet is dropped
   Object.assign(arrow.style, {
-    left: x != null ? `${x}px` : '',
-    top: y != null ? `${y}px` : '',
+    left: isVertical && x != null ? `${x}px` : '',
+    top: !isVertical && y != null ? `${y}px` : '',
     right: '',
     bottom: '',
-    [staticSide]: '-4px'
+    marginLeft: isVertical && x != null ? '0' : '',
+    marginTop: !isVertical && y != null ? '0' : ''
   });
 }
 
@@ -345,10 +684,14 @@ export function isInViewport(element) {
 export default {
   setFloatingUI,
   hasFloatingUI,
+  parsePlacement,
+  createVirtualReference,
   computePosition,
   applyPosition,
   positionArrow,
   autoUpdate,
+  getBoundaryElement,
+  getBoundaryRect,
   getContainer,
   getViewportRect,
   isInViewport
@@ -13,6 +13,27 @@ function requirePlugin(pluginName, assert) {
     return true;
 }
 
+// Helper to skip tests of SandalJS-only features when running against Bootstrap
+function requireSandal(feature, assert) {
+    if (!window.Sandal) {
+        assert.ok(true, feature + ' is SandalJS only (skipped)');
+        return false;
+    }
+    return true;
+}
+
+// Dispatch a Tab keydown on the focused element. Synthetic events have no
+// default action, so focus only moves where a focus trap wraps it.
+function pressTab(shiftKey) {
+    pressKey('Tab', { shiftKey: !!shiftKey });
+}
+
+// Dispatch a keydown on the focused element (or the given one)
+function pressKey(key, options, element) {
+    var init = $.extend({ key: key, bubbles: true, cancelable: true }, options);
+    (element || document.activeElement).dispatchEvent(new KeyboardEvent('keydown', init));
+}
+
 // ==========================================
 // MODAL MODULE
 // ==========================================
@@ -134,6 +155,314 @@ QUnit.test('Modal keyboard option (ESC key)', function(assert) {
     $modal.modal({ keyboard: true });
 });
 
+QUnit.test('Modal remote option loads content', function(assert) {
+    if (!requirePlugin('modal', assert)) return;
+    if (!requireSandal('Remote loading events', assert)) return;
+    
+    var done = assert.async();
+    var remote = 'data:text/html,' + encodeURIComponent('<div class="modal-body">Remote body</div>');
+    var $modal = $('<div class="modal" tabindex="-1"><div class="modal-dialog"><div class="modal-content"></div></div></div>').appendTo(document.body);
+    
+    $modal.on('loaded.bs.modal', function(e) {
+        assert.equal(e.remote, remote, 'loaded.bs.modal carries the remote URL');
+        assert.equal($modal.find('.modal-content .modal-body').text(), 'Remote body', 'Remote HTML injected into .modal-content');
+        $modal.modal('dispose');
+        $modal.remove();
+        done();
+    });
+    
+    $modal.modal({ remote: remote, show: false });
+});
+
+QUnit.test('Modal load() failure fires loaderror', function(assert) {
+    if (!requirePlugin('modal', assert)) return;
+    if (!requireSandal('Remote loading events', assert)) return;
+    
+    var done = assert.async();
+    var $modal = $('<div class="modal" tabindex="-1"><div class="modal-dialog"><div class="modal-content"><p>Original</p></div></div></div>').appendTo(document.body);
+    var errorFired = false;
+    
+    $modal.on('loaderror.bs.modal', function(e) {
+        errorFired = true;
+        assert.ok(e.error, 'loaderror.bs.modal carries the error');
+    });
+    
+    $modal.modal({ show: false });
+    $.fn.modal.Constructor.getInstance($modal[0]).load('./does-not-exist.html').then(function(loaded) {
+        assert.ok(!loaded, 'load() resolves false');
+        assert.ok(errorFired, 'loaderror.bs.modal fired');
+        assert.equal($modal.find('.modal-content').text(), 'Original', 'Content left untouched');
+        assert.ok(!$modal.hasClass('modal-loading'), 'Loading class removed');
+        $modal.modal('dispose');
+        $modal.remove();
+        done();
+    });
+});
+
+QUnit.test('Stacked modals layer above each other', function(assert) {
+    if (!requirePlugin('modal', assert)) return;
+    if (!requireSandal('Modal stacking', assert)) return;
+    
+    var done = assert.async();
+    var markup = '<div class="modal" tabindex="-1"><div class="modal-dialog"><div class="modal-content"><div class="modal-body">Stacked</div></div></div></div>';
+    var $first = $(markup).appendTo(document.body);
+    var $second = $(markup).appendTo(document.body);
+    
+    function zIndex(element) {
+        return parseInt(getComputedStyle(element).zIndex, 10) || 0;
+    }
+    
+    $first.on('shown.bs.modal', function() {
+        $second.modal('show');
+    });
+    
+    $second.on('shown.bs.modal', function() {
+        var backdrops = $('.modal-backdrop');
+        var secondBackdrop = backdrops[backdrops.length - 1];
+        
+        assert.equal(backdrops.length, 2, 'Each modal has its own backdrop');
+        assert.ok(zIndex(secondBackdrop) > zIndex($first[0]), 'Second backdrop covers the first modal');
+        assert.ok(zIndex($second[0]) > zIndex(secondBackdrop), 'Second modal sits above its backdrop');
+        assert.ok($('body').hasClass('modal-open'), 'Body stays locked');
+        
+        $second.modal('hide');
+    });
+    
+    $second.on('hidden.bs.modal', function() {
+        assert.ok($('body').hasClass('modal-open'), 'Body stays locked while the first modal is open');
+        $first.modal('hide');
+    });
+    
+    $first.on('hidden.bs.modal', function() {
+        assert.ok(!$('body').hasClass('modal-open'), 'Body released after the last modal closed');
+        $first.remove();
+        $second.remove();
+        done();
+    });
+    
+    $first.modal('show');
+});
+
+QUnit.test('Modal focus trap wraps Tab in navigation order', function(assert) {
+    if (!requirePlugin('modal', assert)) return;
+    if (!requireSandal('Focus trap', assert)) return;
+    
+    var done = assert.async();
+    var $modal = $('<div class="modal" tabindex="-1"><div class="modal-dialog"><div class="modal-content">' +
+        '<button type="button" id="trap-first">First</button>' +
+        '<button type="button" id="trap-priority" tabindex="1">Priority</button>' +
+        '<button type="button" id="trap-last">Last</button>' +
+        '<div inert><button type="button">Inert</button></div>' +
+        '<details><summary id="trap-summary">More</summary><button type="button">Hidden</button></details>' +
+        '</div></div></div>').appendTo(document.body);
+    
+    $modal.on('shown.bs.modal', function() {
+        $('#trap-summary')[0].focus();
+        pressTab();
+        assert.equal(document.activeElement.id, 'trap-priority', 'Tab from the last element wraps to the positive tabindex, skipping inert and closed <details> content');
+        
+        pressTab(true);
+        assert.equal(document.activeElement.id, 'trap-summary', 'Shift+Tab from the first element wraps to the last');
+        
+        $modal.modal('hide');
+    });
+    
+    $modal.on('hidden.bs.modal', function() {
+        $modal.remove();
+        done();
+    });
+    
+    $modal.modal('show');
+});
+
+QUnit.test('Modal focus trap reaches into shadow roots', function(assert) {
+    if (!requirePlugin('modal', assert)) return;
+    if (!requireSandal('Focus trap', assert)) return;
+    
+    var done = assert.async();
+    var $modal = $('<div class="modal" tabindex="-1"><div class="modal-dialog"><div class="modal-content">' +
+        '<button type="button" id="trap-first">First</button><div id="trap-host"></div>' +
+        '</div></div></div>').appendTo(document.body);
+    var shadowButton = document.createElement('button');
+    
+    $('#trap-host')[0].attachShadow({ mode: 'open' }).appendChild(shadowButton);
+    
+    $modal.on('shown.bs.modal', function() {
+        $('#trap-first')[0].focus();
+        pressTab(true);
+        assert.equal($('#trap-host')[0].shadowRoot.activeElement, shadowButton, 'Shift+Tab wraps to the button inside the shadow root');
+        
+        pressTab();
+        assert.equal(document.activeElement.id, 'trap-first', 'Tab from the shadow button wraps to the first element');
+        
+        $modal.modal('hide');
+    });
+    
+    $modal.on('hidden.bs.modal', function() {
+        $modal.remove();
+        done();
+    });
+    
+    $modal.modal('show');
+});
+
+QUnit.test('Modal focus trap pulls escaping focus back', function(assert) {
+    if (!requirePlugin('modal', assert)) return;
+    if (!requireSandal('Focus trap', assert)) return;
+    
+    var done = assert.async();
+    var $outside = $('<button type="button">Outside</button>').appendTo(document.body);
+    var $modal = $('<div class="modal" tabindex="-1"><div class="modal-dialog"><div class="modal-content">' +
+        '<button type="button" id="trap-inside">Inside</button>' +
+        '</div></div></div>').appendTo(document.body);
+    
+    $modal.on('shown.bs.modal', function() {
+        $('#trap-inside')[0].focus();
+        $outside[0].focus();
+        assert.equal(document.activeElement.id, 'trap-inside', 'Programmatic focus() outside the modal is undone');
+        
+        $outside[0].dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+        $outside[0].focus();
+        assert.equal(document.activeElement.id, 'trap-inside', 'Focus moved by a click outside the modal is undone');
+        
+        $modal.modal('hide');
+    });
+    
+    $modal.on('hidden.bs.modal', function() {
+        $outside.remove();
+        $modal.remove();
+        done();
+    });
+    
+    $modal.modal('show');
+});
+
+QUnit.test('Modal focus trap allows tips opened from inside', function(assert) {
+    if (!requirePlugin('modal', assert)) return;
+    if (!requireSandal('Focus trap', assert)) return;
+    
+    var done = assert.async();
+    var $tip = $('<div id="trap-tip" class="popover"><a href="#">Tip link</a></div>').appendTo(document.body);
+    var $modal = $('<div class="modal" tabindex="-1"><div class="modal-dialog"><div class="modal-content">' +
+        '<button type="button" id="trap-reference" aria-describedby="trap-tip">Reference</button>' +
+        '</div></div></div>').appendTo(document.body);
+    
+    $modal.on('shown.bs.modal', function() {
+        var link = $tip.find('a')[0];
+        
+        link.focus();
+        assert.equal(document.activeElement, link, 'Element of a tip described by a trapped reference can be focused');
+        
+        $('#trap-reference').removeAttr('aria-describedby');
+        $('#trap-reference')[0].focus();
+        link.focus();
+        assert.equal(document.activeElement.id, 'trap-reference', 'Unrelated elements outside the modal cannot');
+        
+        $modal.modal('hide');
+    });
+    
+    $modal.on('hidden.bs.modal', function() {
+        $tip.remove();
+        $modal.remove();
+        done();
+    });
+    
+    $modal.modal('show');
+});
+
+QUnit.test('Nested modal focus traps', function(assert) {
+    if (!requirePlugin('modal', assert)) return;
+    if (!requireSandal('Focus trap', assert)) return;
+    
+    var done = assert.async();
+    var $first = $('<div class="modal" tabindex="-1"><div class="modal-dialog"><div class="modal-content">' +
+        '<button type="button" id="trap-outer">Outer</button></div></div></div>').appendTo(document.body);
+    var $second = $('<div class="modal" tabindex="-1"><div class="modal-dialog"><div class="modal-content">' +
+        '<button type="button" id="trap-inner">Inner</button></div></div></div>').appendTo(document.body);
+    
+    $first.on('shown.bs.modal', function() {
+        $second.modal('show');
+    });
+    
+    $second.on('shown.bs.modal', function() {
+        $('#trap-outer')[0].focus();
+        assert.ok($second[0].contains(document.activeElement), 'Only the innermost trap is enforced');
+        $second.modal('hide');
+    });
+    
+    $second.on('hidden.bs.modal', function() {
+        $('#trap-outer')[0].focus();
+        assert.equal(document.activeElement.id, 'trap-outer', 'Outer trap allows its own elements again');
+        $first.modal('hide');
+    });
+    
+    $first.on('hidden.bs.modal', function() {
+        $first.remove();
+        $second.remove();
+        done();
+    });
+    
+    $first.modal('show');
+});
+
+QUnit.test('Modal returns focus to its invoker', function(assert) {
+    if (!requirePlugin('modal', assert)) return;
+    if (!requireSandal('Focus return', assert)) return;
+    
+    var done = assert.async();
+    var $modal = $('#test-modal');
+    var $invoker = $('<button type="button" data-toggle="modal" data-target="#test-modal">Open</button>').appendTo('#qunit-fixture');
+    
+    $modal.one('shown.bs.modal', function() {
+        assert.ok($modal[0].contains(document.activeElement), 'Focus moved into the modal');
+        $modal.modal('hide');
+    });
+    
+    $modal.one('hidden.bs.modal', function() {
+        assert.equal(document.activeElement, $invoker[0], 'Focus back on the invoker');
+        done();
+    });
+    
+    $invoker[0].focus();
+    $invoker.click();
+});
+
+QUnit.test('Modal focus return when the invoker was removed', function(assert) {
+    if (!requirePlugin('modal', assert)) return;
+    if (!requireSandal('Focus return', assert)) return;
+    
+    var done = assert.async();
+    var $modal = $('#test-modal');
+    var $invoker = $('<button type="button">Invoker</button>').appendTo('#qunit-fixture');
+    var $related = $('<button type="button">Related</button>').appendTo('#qunit-fixture');
+    
+    $modal.one('shown.bs.modal', function() {
+        $invoker.remove();
+        $modal.modal('hide');
+    });
+    
+    $modal.one('hidden.bs.modal', function() {
+        assert.equal(document.activeElement, $related[0], 'Focus goes to the related target instead');
+        
+        $modal.one('shown.bs.modal', function() {
+            $invoker.remove();
+            $related.remove();
+            $modal.modal('hide');
+        });
+        
+        $modal.one('hidden.bs.modal', function() {
+            assert.ok(!$modal[0].contains(document.activeElement), 'Focus not left in the hidden modal');
+            done();
+        });
+        
+        $invoker.appendTo('#qunit-fixture')[0].focus();
+        $modal.modal('show', $related[0]);
+    });
+    
+    $invoker[0].focus();
+    $modal.modal('show', $related[0]);
+});
+
 // ==========================================
 // DROPDOWN MODULE
 // ==========================================
@@ -199,114 +528,946 @@ QUnit.test('Dropdown events', function(assert) {
     $toggle.dropdown('toggle');
 });
 
-// ==========================================
-// TOOLTIP MODULE
-// ==========================================
-QUnit.module('Tooltip', {
-    beforeEach: function() {
-        $('.tooltip').remove();
-    },
-    afterEach: function() {
-        if ($.fn.tooltip) {
-            $('#test-tooltip').tooltip('destroy');
-        }
-        $('.tooltip').remove();
-    }
+// Dropdown with a plain menu, appended to the fixture
+function createKeyboardDropdown(toggleAttributes) {
+    return $('<div class="dropdown">' +
+        '<button type="button" class="btn btn-default dropdown-toggle" id="keyboard-toggle" data-toggle="dropdown" ' + (toggleAttributes || '') + '>Fruit</button>' +
+        '<ul class="dropdown-menu">' +
+        '<li><a href="#">Apple</a></li>' +
+        '<li><a href="#">Banana</a></li>' +
+        '<li class="divider"></li>' +
+        '<li class="disabled"><a href="#">Durian</a></li>' +
+        '<li><a href="#">Blueberry</a></li>' +
+        '<li><a href="#">Cherry</a></li>' +
+        '</ul></div>').appendTo('#qunit-fixture');
+}
+
+function focusedText() {
+    return $(document.activeElement).text();
+}
+
+QUnit.test('Dropdown opens from the keyboard before any click', function(assert) {
+    if (!requirePlugin('dropdown', assert)) return;
+    if (!requireSandal('Dropdown keyboard data-api', assert)) return;
+    
+    var $dropdown = createKeyboardDropdown();
+    var toggle = $('#keyboard-toggle')[0];
+    
+    toggle.focus();
+    pressKey('ArrowDown');
+    assert.ok($dropdown.hasClass('open'), 'ArrowDown opens a toggle that was never clicked');
+    assert.equal(focusedText(), 'Apple', 'Focus moves to the first item');
+    
+    pressKey('Escape');
+    assert.ok(!$dropdown.hasClass('open'), 'Escape closes the menu');
+    assert.equal(document.activeElement, toggle, 'Focus returns to the toggle');
+    
+    $dropdown.remove();
+    $dropdown = createKeyboardDropdown();
+    $('#keyboard-toggle')[0].focus();
+    pressKey('Enter');
+    assert.ok($dropdown.hasClass('open'), 'Enter opens a toggle that was never clicked');
+    assert.equal(focusedText(), 'Apple', 'Focus moves to the first item');
+    
+    $dropdown.remove();
+    $dropdown = createKeyboardDropdown();
+    $('#keyboard-toggle')[0].focus();
+    pressKey('ArrowUp');
+    assert.equal(focusedText(), 'Cherry', 'ArrowUp opens on the last item');
+    $('#keyboard-toggle').dropdown('toggle');
 });
 
-QUnit.test('Tooltip plugin exists', function(assert) {
-    assert.ok($.fn.tooltip, '$.fn.tooltip exists');
-    assert.ok(typeof $.fn.tooltip === 'function', '$.fn.tooltip is a function');
+QUnit.test('Dropdown Home/End and wrap', function(assert) {
+    if (!requirePlugin('dropdown', assert)) return;
+    if (!requireSandal('Dropdown keyboard navigation', assert)) return;
+    
+    createKeyboardDropdown();
+    $('#keyboard-toggle')[0].focus();
+    pressKey('ArrowDown');
+    
+    pressKey('End');
+    assert.equal(focusedText(), 'Cherry', 'End moves to the last item');
+    pressKey('ArrowDown');
+    assert.equal(focusedText(), 'Cherry', 'No wrap by default');
+    
+    pressKey('Home');
+    assert.equal(focusedText(), 'Apple', 'Home moves to the first item');
+    pressKey('ArrowDown');
+    pressKey('ArrowDown');
+    assert.equal(focusedText(), 'Blueberry', 'Dividers and disabled items are skipped');
+    $('#keyboard-toggle').dropdown('toggle');
+    
+    $('#qunit-fixture .dropdown').remove();
+    createKeyboardDropdown('data-wrap="true"');
+    $('#keyboard-toggle')[0].focus();
+    pressKey('ArrowDown');
+    pressKey('ArrowUp');
+    assert.equal(focusedText(), 'Cherry', 'wrap: ArrowUp on the first item goes to the last');
+    pressKey('ArrowDown');
+    assert.equal(focusedText(), 'Apple', 'wrap: ArrowDown on the last item goes to the first');
+    $('#keyboard-toggle').dropdown('toggle');
 });
 
-QUnit.test('Tooltip show/hide methods', function(assert) {
-    if (!requirePlugin('tooltip', assert)) return;
+QUnit.test('Dropdown typeahead', function(assert) {
+    if (!requirePlugin('dropdown', assert)) return;
+    if (!requireSandal('Dropdown typeahead', assert)) return;
     
     var done = assert.async();
-    var $tooltip = $('#test-tooltip');
     
-    $tooltip.tooltip();
+    createKeyboardDropdown('data-typeahead-timeout="100"');
+    $('#keyboard-toggle')[0].focus();
+    pressKey('ArrowDown');
     
-    $tooltip.on('shown.bs.tooltip', function() {
-        assert.ok($('.tooltip').length > 0, 'Tooltip exists in DOM');
-        assert.ok($('.tooltip').is(':visible'), 'Tooltip is visible');
-        $tooltip.tooltip('hide');
-    });
+    pressKey('b');
+    assert.equal(focusedText(), 'Banana', 'Typed character focuses the next matching item');
+    pressKey('b');
+    assert.equal(focusedText(), 'Blueberry', 'Repeating it cycles through the matches');
     
-    $tooltip.on('hidden.bs.tooltip', function() {
-        assert.ok($('.tooltip').length === 0 || !$('.tooltip').is(':visible'), 'Tooltip is hidden');
+    setTimeout(function() {
+        pressKey('c');
+        pressKey('h');
+        assert.equal(focusedText(), 'Cherry', 'Several characters match a prefix');
+        $('#keyboard-toggle').dropdown('toggle');
         done();
-    });
-    
-    $tooltip.tooltip('show');
+    }, 150);
 });
 
-QUnit.test('Tooltip toggle method', function(assert) {
-    if (!requirePlugin('tooltip', assert)) return;
-    
-    var done = assert.async();
-    var $tooltip = $('#test-tooltip');
+QUnit.test('Dropdown menu button roles', function(assert) {
+    if (!requirePlugin('dropdown', assert)) return;
+    if (!requireSandal('Dropdown ARIA roles', assert)) return;
     
-    $tooltip.tooltip();
+    var $dropdown = createKeyboardDropdown();
+    var $toggle = $('#keyboard-toggle');
     
-    $tooltip.on('shown.bs.tooltip', function() {
-        assert.ok($('.tooltip').is(':visible'), 'Tooltip shown via toggle');
-        $tooltip.tooltip('toggle');
-    });
+    $toggle.dropdown();
     
-    $tooltip.on('hidden.bs.tooltip', function() {
-        done();
-    });
+    assert.equal($toggle.attr('aria-haspopup'), 'true', 'Toggle has aria-haspopup');
+    assert.equal($toggle.attr('aria-expanded'), 'false', 'Toggle has aria-expanded');
+    assert.equal($dropdown.find('.dropdown-menu').attr('role'), 'menu', 'Menu has role="menu"');
+    assert.equal($dropdown.find('.dropdown-menu').attr('aria-labelledby'), 'keyboard-toggle', 'Menu labelled by the toggle');
+    assert.equal($dropdown.find('li').first().attr('role'), 'none', 'Items have role="none"');
+    assert.equal($dropdown.find('a').first().attr('role'), 'menuitem', 'Links have role="menuitem"');
+    assert.equal($dropdown.find('.divider').attr('role'), 'separator', 'Dividers have role="separator"');
+    assert.equal($dropdown.find('.disabled a').attr('aria-disabled'), 'true', 'Disabled items have aria-disabled');
     
-    $tooltip.tooltip('toggle');
+    $toggle.dropdown('toggle');
+    assert.equal($toggle.attr('aria-expanded'), 'true', 'aria-expanded follows the menu');
+    $toggle.dropdown('toggle');
 });
 
-QUnit.test('Tooltip placement option', function(assert) {
-    if (!requirePlugin('tooltip', assert)) return;
+QUnit.test('Dropdown returns focus to its toggle', function(assert) {
+    if (!requirePlugin('dropdown', assert)) return;
+    if (!requireSandal('Focus return', assert)) return;
     
-    var done = assert.async();
-    var $tooltip = $('#test-tooltip');
+    var $dropdown = createKeyboardDropdown();
+    var $toggle = $('#keyboard-toggle');
+    var $outside = $('<input type="text">').appendTo('#qunit-fixture');
     
-    $tooltip.tooltip({ placement: 'top' });
+    $toggle[0].focus();
+    pressKey('ArrowDown');
+    assert.ok($dropdown.find('.dropdown-menu')[0].contains(document.activeElement), 'Focus in the menu');
     
-    $tooltip.on('shown.bs.tooltip', function() {
-        assert.ok($('.tooltip').hasClass('top'), 'Tooltip has top placement class');
-        $tooltip.tooltip('destroy');
-        done();
-    });
+    $toggle.dropdown('toggle');
+    assert.equal(document.activeElement, $toggle[0], 'Closing from the menu focuses the toggle');
     
-    $tooltip.tooltip('show');
-});
-
-// ==========================================
-// POPOVER MODULE
-// ==========================================
-QUnit.module('Popover', {
-    beforeEach: function() {
-        $('.popover').remove();
-    },
-    afterEach: function() {
-        if ($.fn.popover) {
-            $('#test-popover').popover('destroy');
-        }
-        $('.popover').remove();
-    }
+    $toggle.dropdown('toggle');
+    $outside[0].focus();
+    $toggle.dropdown('toggle');
+    assert.equal(document.activeElement, $outside[0], 'Focus moved elsewhere on purpose stays there');
 });
 
-QUnit.test('Popover plugin exists', function(assert) {
-    assert.ok($.fn.popover, '$.fn.popover exists');
-    assert.ok(typeof $.fn.popover === 'function', '$.fn.popover is a function');
-});
+// Keyboard dropdown fixed in the viewport, for positioning tests
+function createPositionedDropdown(style, toggleAttributes) {
+    return createKeyboardDropdown(toggleAttributes).attr('style', 'position: fixed; ' + style);
+}
 
-QUnit.test('Popover show/hide methods', function(assert) {
-    if (!requirePlugin('popover', assert)) return;
+QUnit.test('Dropdown menu is positioned below its toggle with the offset', function(assert) {
+    if (!requirePlugin('dropdown', assert)) return;
+    if (!requireSandal('Dropdown positioning', assert)) return;
     
     var done = assert.async();
-    var $popover = $('#test-popover');
+    var $dropdown = createPositionedDropdown('top: 20px; left: 200px', 'data-offset="12"');
+    var $toggle = $('#keyboard-toggle');
+    var menu = $dropdown.find('.dropdown-menu')[0];
     
-    $popover.popover();
+    $toggle.dropdown('toggle');
     
-    $popover.on('shown.bs.popover', function() {
+    setTimeout(function() {
+        var toggleRect = $toggle[0].getBoundingClientRect();
+        var menuRect = menu.getBoundingClientRect();
+        
+        assert.equal(menu.style.position, 'absolute', 'Menu positioned by script');
+        assert.ok(Math.abs(menuRect.top - (toggleRect.bottom + 12)) <= 1, 'Menu is offset below the toggle');
+        assert.ok(Math.abs(menuRect.left - toggleRect.left) <= 1, 'Menu start edge aligned with the toggle');
+        
+        $toggle.dropdown('toggle');
+        assert.equal(menu.style.position, '', 'Inline position removed on close');
+        done();
+    }, 0);
+});
+
+QUnit.test('Dropdown menu-right aligns the end edges', function(assert) {
+    if (!requirePlugin('dropdown', assert)) return;
+    if (!requireSandal('Dropdown positioning', assert)) return;
+    
+    var done = assert.async();
+    var $dropdown = createPositionedDropdown('top: 20px; left: 300px');
+    var $toggle = $('#keyboard-toggle');
+    var menu = $dropdown.find('.dropdown-menu').addClass('dropdown-menu-right')[0];
+    
+    $toggle.dropdown('toggle');
+    
+    setTimeout(function() {
+        assert.ok(Math.abs(menu.getBoundingClientRect().right - $toggle[0].getBoundingClientRect().right) <= 1, 'Menu end edge aligned with the toggle');
+        $toggle.dropdown('toggle');
+        done();
+    }, 0);
+});
+
+QUnit.test('Dropdown flips up without room below', function(assert) {
+    if (!requirePlugin('dropdown', assert)) return;
+    if (!requireSandal('Dropdown positioning', assert)) return;
+    
+    var done = assert.async();
+    var $dropdown = createPositionedDropdown('bottom: 0; left: 200px');
+    var $toggle = $('#keyboard-toggle');
+    var menu = $dropdown.find('.dropdown-menu')[0];
+    
+    $toggle.dropdown('toggle');
+    
+    setTimeout(function() {
+        assert.ok($dropdown.hasClass('dropup'), 'Flipped menu gets the dropup class');
+        assert.ok(menu.getBoundingClientRect().bottom <= $toggle[0].getBoundingClientRect().top + 1, 'Menu above the toggle');
+        
+        $toggle.dropdown('toggle');
+        assert.ok(!$dropdown.hasClass('dropup'), 'dropup class removed on close');
+        
+        // flip: false keeps it below
+        $dropdown.remove();
+        $dropdown = createPositionedDropdown('bottom: 0; left: 200px', 'data-flip="false"');
+        $toggle = $('#keyboard-toggle');
+        $toggle.dropdown('toggle');
+        
+        setTimeout(function() {
+            assert.ok(!$dropdown.hasClass('dropup'), 'No flip with flip: false');
+            assert.ok($dropdown.find('.dropdown-menu')[0].getBoundingClientRect().top >= $toggle[0].getBoundingClientRect().bottom - 1, 'Menu stays below');
+            $toggle.dropdown('toggle');
+            done();
+        }, 0);
+    }, 0);
+});
+
+QUnit.test('Dropdown boundary option', function(assert) {
+    if (!requirePlugin('dropdown', assert)) return;
+    if (!requireSandal('Dropdown positioning', assert)) return;
+    
+    var done = assert.async();
+    // Toggle at the bottom of a short scrolling box, with room below it in the viewport
+    var $box = $('<div style="position: fixed; top: 0; left: 200px; height: 260px; width: 200px; overflow: auto">' +
+        '<div style="height: 200px"></div></div>').appendTo('#qunit-fixture');
+    var $dropdown = createKeyboardDropdown().appendTo($box);
+    var $toggle = $('#keyboard-toggle');
+    
+    $toggle.dropdown('toggle');
+    
+    setTimeout(function() {
+        assert.ok($dropdown.hasClass('dropup'), "'scrollParent' keeps the menu within the scrolling box");
+        $toggle.dropdown('toggle');
+        $toggle.dropdown('dispose');
+        
+        $toggle.attr('data-boundary', 'viewport').dropdown('toggle');
+        
+        setTimeout(function() {
+            assert.ok(!$dropdown.hasClass('dropup'), "'viewport' lets it extend below the box");
+            $toggle.dropdown('toggle');
+            done();
+        }, 0);
+    }, 0);
+});
+
+QUnit.test('Dropdown display static leaves positioning to CSS', function(assert) {
+    if (!requirePlugin('dropdown', assert)) return;
+    if (!requireSandal('Dropdown positioning', assert)) return;
+    
+    var done = assert.async();
+    var $dropdown = createPositionedDropdown('bottom: 0; left: 200px', 'data-display="static"');
+    var $toggle = $('#keyboard-toggle');
+    var menu = $dropdown.find('.dropdown-menu')[0];
+    
+    $toggle.dropdown('toggle');
+    
+    setTimeout(function() {
+        assert.equal(menu.style.position, '', 'No inline position');
+        assert.equal(menu.style.top, '', 'No inline top');
+        assert.ok(!$dropdown.hasClass('dropup'), 'No flipping');
+        $toggle.dropdown('toggle');
+        done();
+    }, 0);
+});
+
+// Dropdown with one submenu, appended to the fixture
+function createSubmenuDropdown(style) {
+    return $('<div class="dropdown" id="submenu-dropdown" style="' + (style || '') + '">' +
+        '<button type="button" class="btn btn-default dropdown-toggle" data-toggle="dropdown">Menu</button>' +
+        '<ul class="dropdown-menu">' +
+        '<li><a href="#" id="submenu-first">First</a></li>' +
+        '<li class="dropdown-submenu"><a href="#" id="submenu-toggle">More</a>' +
+        '<ul class="dropdown-menu"><li><a href="#" id="submenu-item">Nested</a></li></ul></li>' +
+        '</ul></div>').appendTo('#qunit-fixture');
+}
+
+QUnit.test('Dropdown submenu opens on hover after the delay', function(assert) {
+    if (!requirePlugin('dropdown', assert)) return;
+    if (!requireSandal('Dropdown submenus', assert)) return;
+    
+    var done = assert.async();
+    var $dropdown = createSubmenuDropdown();
+    var $submenu = $dropdown.find('.dropdown-submenu');
+    var $toggle = $('#submenu-toggle');
+    var events = [];
+    
+    $toggle.on('show.bs.submenu shown.bs.submenu hide.bs.submenu hidden.bs.submenu', function(e) {
+        events.push(e.type);
+    });
+    
+    $toggle.one('shown.bs.submenu', function(e) {
+        assert.equal(e.level, 1, 'Event carries the submenu level');
+        assert.ok($submenu.hasClass('open'), 'Submenu opened after the delay');
+        assert.equal($toggle.attr('aria-expanded'), 'true', 'aria-expanded updated');
+        
+        // The usual click after pointing at the toggle keeps it open
+        $toggle[0].click();
+        assert.ok($submenu.hasClass('open'), 'Click on a hover-opened submenu keeps it open');
+        
+        $toggle[0].click();
+        assert.ok(!$submenu.hasClass('open'), 'Next click closes it');
+        assert.deepEqual(events, ['show', 'shown', 'hide', 'hidden'], 'Submenu events fired in order');
+        
+        $dropdown.find('.dropdown-toggle').dropdown('toggle');
+        done();
+    });
+    
+    $dropdown.find('.dropdown-toggle').dropdown('toggle');
+    $toggle[0].dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+    assert.ok(!$submenu.hasClass('open'), 'Submenu not opened straight away');
+});
+
+QUnit.test('Dropdown submenu click toggles', function(assert) {
+    if (!requirePlugin('dropdown', assert)) return;
+    if (!requireSandal('Dropdown submenus', assert)) return;
+    
+    var done = assert.async();
+    var $dropdown = createSubmenuDropdown();
+    var $submenu = $dropdown.find('.dropdown-submenu');
+    
+    $dropdown.find('.dropdown-toggle').dropdown('toggle');
+    
+    // Document listener is added after the opening click
+    setTimeout(function() {
+        $('#submenu-toggle')[0].click();
+        assert.ok($submenu.hasClass('open'), 'Click opens the submenu');
+        assert.ok($dropdown.hasClass('open'), 'Dropdown stays open');
+        
+        $('#submenu-toggle')[0].click();
+        assert.ok(!$submenu.hasClass('open'), 'Second click closes it');
+        
+        $dropdown.find('.dropdown-toggle').dropdown('toggle');
+        done();
+    }, 10);
+});
+
+QUnit.test('Dropdown submenu keyboard navigation', function(assert) {
+    if (!requirePlugin('dropdown', assert)) return;
+    if (!requireSandal('Dropdown submenus', assert)) return;
+    
+    var $dropdown = createSubmenuDropdown();
+    var $submenu = $dropdown.find('.dropdown-submenu');
+    
+    $dropdown.find('.dropdown-toggle').dropdown('toggle');
+    $('#submenu-toggle')[0].focus();
+    
+    pressKey('ArrowRight');
+    assert.ok($submenu.hasClass('open'), 'ArrowRight opens the submenu');
+    assert.equal(document.activeElement.id, 'submenu-item', 'Focus moves to its first item');
+    
+    pressKey('ArrowLeft');
+    assert.ok(!$submenu.hasClass('open'), 'ArrowLeft closes the submenu');
+    assert.equal(document.activeElement.id, 'submenu-toggle', 'Focus returns to the submenu toggle');
+    
+    $dropdown.find('.dropdown-toggle').dropdown('toggle');
+});
+
+QUnit.test('Dropdown submenu flips left at the viewport edge', function(assert) {
+    if (!requirePlugin('dropdown', assert)) return;
+    if (!requireSandal('Dropdown submenus', assert)) return;
+    
+    var done = assert.async();
+    var $dropdown = createSubmenuDropdown('position: fixed; top: 100px; right: 0;');
+    var $submenu = $dropdown.find('.dropdown-submenu');
+    
+    // Right-aligned so the menu itself fits
+    $dropdown.children('.dropdown-menu').addClass('dropdown-menu-right');
+    
+    $('#submenu-toggle').one('shown.bs.submenu', function() {
+        // Positioning runs asynchronously
+        setTimeout(function() {
+            var menuRect = $submenu.find('.dropdown-menu')[0].getBoundingClientRect();
+            
+            assert.ok($submenu.hasClass('pull-left'), 'pull-left added when there is no room on the right');
+            assert.ok(menuRect.right <= window.innerWidth, 'Submenu stays inside the viewport');
+            
+            $dropdown.find('.dropdown-toggle').dropdown('toggle');
+            assert.ok(!$submenu.hasClass('pull-left'), 'Added pull-left removed on close');
+            done();
+        }, 50);
+    });
+    
+    $dropdown.find('.dropdown-toggle').dropdown('toggle');
+    $('#submenu-toggle')[0].dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+});
+
+// ==========================================
+// TOOLTIP MODULE
+// ==========================================
+QUnit.module('Tooltip', {
+    beforeEach: function() {
+        $('.tooltip').remove();
+    },
+    afterEach: function() {
+        if ($.fn.tooltip) {
+            $('#test-tooltip').tooltip('destroy');
+        }
+        $('.tooltip').remove();
+    }
+});
+
+QUnit.test('Tooltip plugin exists', function(assert) {
+    assert.ok($.fn.tooltip, '$.fn.tooltip exists');
+    assert.ok(typeof $.fn.tooltip === 'function', '$.fn.tooltip is a function');
+});
+
+QUnit.test('Tooltip show/hide methods', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    
+    var done = assert.async();
+    var $tooltip = $('#test-tooltip');
+    
+    $tooltip.tooltip();
+    
+    $tooltip.on('shown.bs.tooltip', function() {
+        assert.ok($('.tooltip').length > 0, 'Tooltip exists in DOM');
+        assert.ok($('.tooltip').is(':visible'), 'Tooltip is visible');
+        $tooltip.tooltip('hide');
+    });
+    
+    $tooltip.on('hidden.bs.tooltip', function() {
+        assert.ok($('.tooltip').length === 0 || !$('.tooltip').is(':visible'), 'Tooltip is hidden');
+        done();
+    });
+    
+    $tooltip.tooltip('show');
+});
+
+QUnit.test('Tooltip toggle method', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    
+    var done = assert.async();
+    var $tooltip = $('#test-tooltip');
+    
+    $tooltip.tooltip();
+    
+    $tooltip.on('shown.bs.tooltip', function() {
+        assert.ok($('.tooltip').is(':visible'), 'Tooltip shown via toggle');
+        $tooltip.tooltip('toggle');
+    });
+    
+    $tooltip.on('hidden.bs.tooltip', function() {
+        done();
+    });
+    
+    $tooltip.tooltip('toggle');
+});
+
+QUnit.test('Tooltip placement option', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    
+    var done = assert.async();
+    var $tooltip = $('#test-tooltip');
+    
+    $tooltip.tooltip({ placement: 'top' });
+    
+    $tooltip.on('shown.bs.tooltip', function() {
+        assert.ok($('.tooltip').hasClass('top'), 'Tooltip has top placement class');
+        $tooltip.tooltip('destroy');
+        done();
+    });
+    
+    $tooltip.tooltip('show');
+});
+
+QUnit.test('Tooltip auto placement', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    
+    var done = assert.async();
+    var $tooltip = $('#test-tooltip');
+    
+    $tooltip.tooltip({ placement: 'auto top' });
+    
+    $tooltip.on('shown.bs.tooltip', function() {
+        var $tip = $('.tooltip');
+        assert.ok($tip.hasClass('top') || $tip.hasClass('bottom'), 'Tooltip placed on the top or bottom side');
+        assert.ok(!$tip.hasClass('auto'), 'No "auto" class on the tooltip');
+        done();
+    });
+    
+    $tooltip.tooltip('show');
+});
+
+QUnit.test('Tooltip auto placement takes the side with the most room', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    if (!requireSandal('Auto placement with and without Floating UI', assert)) return;
+    
+    var done = assert.async();
+    // Full height at the left edge: only the right side has room
+    var $button = $('<button type="button" style="position: fixed; top: 0; left: 0; width: 20px; height: 100vh" title="Auto">A</button>').appendTo('#qunit-fixture');
+    var previousFloatingUI = window.FloatingUIDOM;
+    var requested = [];
+    
+    $button.tooltip({ placement: 'auto left', animation: false });
+    
+    $button.one('shown.bs.tooltip', function() {
+        assert.ok($('.tooltip').hasClass('right'), 'Fallback positioner places it on the right');
+        $button.tooltip('hide');
+        
+        // Same placement through Floating UI (stubbed, records the placement it is asked for)
+        var passThrough = function(options) { return options || {}; };
+        window.FloatingUIDOM = {
+            computePosition: function(reference, floating, options) {
+                requested.push(options.placement);
+                return Promise.resolve({ x: 0, y: 0, placement: options.placement, middlewareData: {} });
+            },
+            offset: passThrough,
+            flip: passThrough,
+            shift: passThrough,
+            arrow: passThrough
+        };
+        
+        $button.one('shown.bs.tooltip', function() {
+            window.FloatingUIDOM = previousFloatingUI;
+            assert.equal(requested[0], 'right', 'Floating UI is asked for the side with the most room');
+            $button.tooltip('destroy');
+            done();
+        });
+        $button.tooltip('show');
+    });
+    
+    $button.tooltip('show');
+});
+
+QUnit.test('Tooltip aligned placement', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    if (!requireSandal('Aligned placements', assert)) return;
+    
+    var done = assert.async();
+    var $button = $('<button type="button" class="btn btn-default" style="margin-left: 200px" title="Aligned tooltip text">Aligned</button>').appendTo('#qunit-fixture');
+    
+    $button.tooltip({ placement: 'bottom-start', animation: false });
+    
+    $button.on('shown.bs.tooltip', function() {
+        var $tip = $('.tooltip');
+        var tipRect = $tip[0].getBoundingClientRect();
+        var buttonRect = $button[0].getBoundingClientRect();
+        
+        assert.ok($tip.hasClass('bottom'), 'Tooltip has the side class');
+        assert.ok(tipRect.top >= buttonRect.bottom, 'Tooltip below the element');
+        assert.ok(Math.abs(tipRect.left - buttonRect.left) <= 1, 'Tooltip start edge aligned with the element');
+        $button.tooltip('destroy');
+        done();
+    });
+    
+    $button.tooltip('show');
+});
+
+// Distance between the arrow's centre and the element's centre on the tip's cross axis
+function arrowCentreDistance(arrow, element, isVertical) {
+    var arrowRect = arrow.getBoundingClientRect();
+    var elementRect = element.getBoundingClientRect();
+    
+    return isVertical
+        ? Math.abs((arrowRect.left + arrowRect.width / 2) - (elementRect.left + elementRect.width / 2))
+        : Math.abs((arrowRect.top + arrowRect.height / 2) - (elementRect.top + elementRect.height / 2));
+}
+
+QUnit.test('Tooltip arrow points at the element when the tip is shifted', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    if (!requireSandal('Arrow positioning', assert)) return;
+    
+    var done = assert.async();
+    // Centred above this button the tip would leave the viewport, so it is shifted right
+    var $button = $('<button type="button" style="position: fixed; top: 100px; left: 0; width: 30px" title="A rather long tooltip text">A</button>').appendTo('#qunit-fixture');
+    
+    $button.tooltip({ placement: 'top', animation: false });
+    
+    $button.one('shown.bs.tooltip', function() {
+        var $tip = $('.tooltip');
+        
+        assert.ok($tip[0].getBoundingClientRect().left >= 0, 'Tip shifted into the viewport');
+        assert.ok(arrowCentreDistance($tip.find('.tooltip-arrow')[0], $button[0], true) <= 1, 'Arrow centred on the element');
+        $button.tooltip('destroy');
+        done();
+    });
+    
+    $button.tooltip('show');
+});
+
+QUnit.test('Tooltip arrow with aligned placements', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    if (!requireSandal('Arrow positioning', assert)) return;
+    
+    var done = assert.async();
+    var $button = $('<button type="button" style="position: fixed; top: 100px; left: 200px; width: 30px" title="A rather long tooltip text">A</button>').appendTo('#qunit-fixture');
+    
+    $button.tooltip({ placement: 'bottom-start', animation: false });
+    
+    $button.one('shown.bs.tooltip', function() {
+        var arrow = $('.tooltip .tooltip-arrow')[0];
+        
+        assert.ok(arrowCentreDistance(arrow, $button[0], true) <= 1, 'Arrow centred on the element, not on the tip');
+        assert.equal(arrow.style.marginLeft, '0px', 'Stylesheet centring margin dropped');
+        $button.tooltip('destroy');
+        done();
+    });
+    
+    $button.tooltip('show');
+});
+
+QUnit.test('Tooltip stays within the viewport option', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    if (!requireSandal('Viewport option', assert)) return;
+    
+    var done = assert.async();
+    var $panel = $('<div id="tooltip-viewport" style="position: fixed; top: 100px; left: 100px; width: 300px; height: 200px"></div>').appendTo('#qunit-fixture');
+    var $button = $('<button type="button" style="position: absolute; top: 100px; left: 0; width: 30px" title="A rather long tooltip text">A</button>').appendTo($panel);
+    
+    $button.tooltip({ placement: 'top', animation: false, viewport: { selector: '#tooltip-viewport', padding: 10 } });
+    
+    $button.one('shown.bs.tooltip', function() {
+        assert.ok($('.tooltip')[0].getBoundingClientRect().left >= $panel[0].getBoundingClientRect().left + 10 - 1, 'Tip kept inside the viewport element, with its padding');
+        $button.tooltip('destroy');
+        
+        // A function returning the element works too
+        $button.tooltip({ placement: 'top', animation: false, viewport: function() { return $panel[0]; } });
+        
+        $button.one('shown.bs.tooltip', function() {
+            var tipLeft = $('.tooltip')[0].getBoundingClientRect().left;
+            var panelLeft = $panel[0].getBoundingClientRect().left;
+            
+            assert.ok(tipLeft >= panelLeft - 1 && tipLeft < panelLeft + 10, 'Viewport from a function, without padding');
+            $button.tooltip('destroy');
+            done();
+        });
+        $button.tooltip('show');
+    });
+    
+    $button.tooltip('show');
+});
+
+QUnit.test('Tooltip boundary option', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    if (!requireSandal('Boundary option', assert)) return;
+    
+    var done = assert.async();
+    // Scrolling box with the element at its top edge, with room above it in the page
+    var $box = $('<div style="position: fixed; top: 200px; left: 100px; width: 300px; height: 200px; overflow: auto">' +
+        '<div style="height: 400px"></div></div>').appendTo('#qunit-fixture');
+    var $button = $('<button type="button" style="position: absolute; top: 0; left: 100px" title="Tip">A</button>').appendTo($box);
+    
+    $button.tooltip({ placement: 'top', animation: false });
+    
+    $button.one('shown.bs.tooltip', function() {
+        assert.ok($('.tooltip').hasClass('bottom'), "Default 'scrollParent' flips to stay within the scrolling box");
+        $button.tooltip('destroy');
+        
+        $button.tooltip({ placement: 'top', animation: false, boundary: 'viewport' });
+        
+        $button.one('shown.bs.tooltip', function() {
+            assert.ok($('.tooltip').hasClass('top'), "'viewport' only keeps it within the page");
+            $button.tooltip('destroy');
+            done();
+        });
+        $button.tooltip('show');
+    });
+    
+    $button.tooltip('show');
+});
+
+// Element for followCursor tests, large enough to move the pointer around in
+function createCursorTarget() {
+    return $('<div style="position: fixed; top: 200px; left: 100px; width: 400px; height: 100px" title="Cursor tip"></div>').appendTo('#qunit-fixture');
+}
+
+function pointer(element, type, x, y) {
+    element.dispatchEvent(new MouseEvent(type, { clientX: x, clientY: y, bubbles: type === 'mousemove' }));
+}
+
+function tipRect() {
+    return $('.tooltip')[0].getBoundingClientRect();
+}
+
+QUnit.test('Tooltip followCursor follows the pointer', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    if (!requireSandal('followCursor', assert)) return;
+    
+    var done = assert.async();
+    var $target = createCursorTarget();
+    
+    $target.tooltip({ followCursor: true, placement: 'top', animation: false });
+    
+    $target.one('shown.bs.tooltip', function() {
+        assert.ok(Math.abs(tipRect().left + tipRect().width / 2 - 150) <= 1, 'Tip centred on the pointer');
+        assert.ok(tipRect().bottom <= 250 && tipRect().bottom >= 230, 'Tip above the pointer');
+        
+        pointer($target[0], 'mousemove', 350, 260);
+        
+        setTimeout(function() {
+            assert.ok(Math.abs(tipRect().left + tipRect().width / 2 - 350) <= 1, 'Tip moved with the pointer');
+            assert.ok(tipRect().bottom <= 260 && tipRect().bottom >= 240, 'Tip above the new pointer position');
+            
+            pointer($target[0], 'mouseleave', 350, 260);
+            $target.tooltip('destroy');
+            done();
+        }, 100);
+    });
+    
+    pointer($target[0], 'mouseenter', 150, 250);
+});
+
+QUnit.test("Tooltip followCursor 'initial' and 'horizontal'", function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    if (!requireSandal('followCursor', assert)) return;
+    
+    var done = assert.async();
+    var $target = createCursorTarget();
+    
+    $target.tooltip({ followCursor: 'initial', placement: 'top', animation: false });
+    
+    $target.one('shown.bs.tooltip', function() {
+        pointer($target[0], 'mousemove', 350, 260);
+        
+        setTimeout(function() {
+            assert.ok(Math.abs(tipRect().left + tipRect().width / 2 - 150) <= 1, "'initial' stays where the pointer entered");
+            pointer($target[0], 'mouseleave', 350, 260);
+            $target.tooltip('destroy');
+            
+            $target.tooltip({ followCursor: 'horizontal', placement: 'top', animation: false });
+            
+            $target.one('shown.bs.tooltip', function() {
+                assert.ok(Math.abs(tipRect().left + tipRect().width / 2 - 200) <= 1, "'horizontal' follows the pointer's x");
+                assert.ok(tipRect().bottom <= 200, "'horizontal' stays above the element");
+                pointer($target[0], 'mouseleave', 200, 280);
+                $target.tooltip('destroy');
+                done();
+            });
+            pointer($target[0], 'mouseenter', 200, 280);
+        }, 100);
+    });
+    
+    pointer($target[0], 'mouseenter', 150, 250);
+});
+
+QUnit.test('Tooltip followCursor shown by focus uses the element', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    if (!requireSandal('followCursor', assert)) return;
+    
+    var done = assert.async();
+    var $target = createCursorTarget().attr('tabindex', '0');
+    
+    $target.tooltip({ followCursor: true, placement: 'top', animation: false });
+    
+    $target.one('shown.bs.tooltip', function() {
+        assert.ok(Math.abs(tipRect().left + tipRect().width / 2 - 300) <= 1, 'Tip centred on the element');
+        assert.ok(tipRect().bottom <= 200, 'Tip above the element');
+        $target.tooltip('destroy');
+        done();
+    });
+    
+    $target[0].focus();
+});
+
+QUnit.test('Tooltip selector option delegates to descendants', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    
+    var done = assert.async();
+    var $container = $('<div id="test-tooltip-delegate"></div>').appendTo(document.body);
+    
+    $container.tooltip({ selector: '[rel="tooltip"]', trigger: 'click' });
+    
+    // Added after the container was initialised
+    var $link = $('<a href="#" rel="tooltip" title="Delegated tooltip">Link</a>').appendTo($container);
+    
+    $container.on('shown.bs.tooltip', function() {
+        assert.ok($('.tooltip').length > 0, 'Tooltip shown for delegated element');
+        assert.ok($link.data('bs.tooltip'), 'Instance created for delegated element');
+        $container.tooltip('destroy');
+        $container.remove();
+        done();
+    });
+    
+    $link.trigger('click');
+});
+
+QUnit.test('Tooltip html content is sanitized with the default allowlist', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    if (!requireSandal('Allowlist sanitizer', assert)) return;
+    
+    var done = assert.async();
+    var $tooltip = $('#test-tooltip');
+    
+    $tooltip.tooltip({
+        html: true,
+        title: '<b onclick="alert(1)">Bold</b><script>alert(1)</script>' +
+               '<a href="javascript:alert(1)">Unsafe</a><a href="/page">Safe</a>'
+    });
+    
+    $tooltip.on('shown.bs.tooltip', function() {
+        var $inner = $('.tooltip .tooltip-inner');
+        
+        assert.equal($inner.find('b').text(), 'Bold', 'Allowed element kept');
+        assert.ok(!$inner.find('b')[0].hasAttribute('onclick'), 'Event handler attribute removed');
+        assert.equal($inner.find('script').length, 0, 'Script element removed');
+        assert.ok(!$inner.find('a')[0].hasAttribute('href'), 'javascript: URL removed');
+        assert.equal($inner.find('a')[1].getAttribute('href'), '/page', 'Relative URL kept');
+        done();
+    });
+    
+    $tooltip.tooltip('show');
+});
+
+QUnit.test('Tooltip allowList option', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    if (!requireSandal('Allowlist sanitizer', assert)) return;
+    
+    var done = assert.async();
+    var $tooltip = $('#test-tooltip');
+    
+    $tooltip.tooltip({
+        html: true,
+        // The template is sanitized with the same list, so keep what it uses
+        allowList: { '*': ['class', 'role'], div: [], span: ['data-keep'] },
+        title: '<span data-keep="yes" data-drop="no">Kept</span><b>Dropped</b>'
+    });
+    
+    $tooltip.on('shown.bs.tooltip', function() {
+        var $inner = $('.tooltip .tooltip-inner');
+        var span = $inner.find('span')[0];
+        
+        assert.ok(span, 'Listed element kept');
+        assert.equal(span.getAttribute('data-keep'), 'yes', 'Listed attribute kept');
+        assert.ok(!span.hasAttribute('data-drop'), 'Unlisted attribute removed');
+        assert.equal($inner.find('b').length, 0, 'Unlisted element removed');
+        done();
+    });
+    
+    $tooltip.tooltip('show');
+});
+
+QUnit.test('Tooltip shown again while fading out keeps its tip', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    if (!requireSandal('Interrupted tooltip hide', assert)) return;
+    
+    var done = assert.async();
+    var $tooltip = $('#test-tooltip');
+    var shown = 0;
+    
+    $tooltip.tooltip({ animation: true });
+    
+    $tooltip.on('shown.bs.tooltip', function() {
+        shown++;
+        if (shown === 1) {
+            // Show again before the fade-out ends
+            $tooltip.tooltip('hide');
+            $tooltip.tooltip('show');
+            return;
+        }
+        
+        // Let the interrupted hide's fade time run out
+        setTimeout(function() {
+            assert.equal($('.tooltip').length, 1, 'Tip is still attached');
+            assert.ok($('.tooltip').hasClass('in'), 'Tip is still shown');
+            assert.ok($tooltip.attr('aria-describedby'), 'Element is still described by the tip');
+            done();
+        }, 300);
+    });
+    
+    $tooltip.tooltip('show');
+});
+
+QUnit.test('Tooltip group shares one tip', function(assert) {
+    if (!requirePlugin('tooltip', assert)) return;
+    if (!requireSandal('Tooltip groups', assert)) return;
+    
+    var done = assert.async();
+    var $first = $('<a href="#" title="First" data-tooltip-group="test-group">First</a>').appendTo('#qunit-fixture');
+    var $second = $('<a href="#" title="Second" data-tooltip-group="test-group">Second</a>').appendTo('#qunit-fixture');
+    var events = [];
+    
+    $first.tooltip({ animation: false });
+    $second.tooltip({ animation: false });
+    
+    $first.on('hide.bs.tooltip hidden.bs.tooltip', function(e) {
+        events.push('first ' + e.type);
+    });
+    $second.on('show.bs.tooltip shown.bs.tooltip', function(e) {
+        events.push('second ' + e.type);
+    });
+    
+    $first.one('shown.bs.tooltip', function() {
+        $second.one('shown.bs.tooltip', function() {
+            assert.equal($('.tooltip').length, 1, 'One tip for the whole group');
+            assert.equal($('.tooltip .tooltip-inner').text(), 'Second', 'Tip shows the second title');
+            assert.ok(!$first.attr('aria-describedby'), 'First element no longer described by the tip');
+            assert.deepEqual(events, ['second show', 'first hide', 'first hidden', 'second shown'],
+                'First member hides before the second is shown');
+            
+            $first.tooltip('destroy');
+            $second.tooltip('destroy');
+            done();
+        });
+        $second.tooltip('show');
+    });
+    
+    $first.tooltip('show');
+});
+
+// ==========================================
+// POPOVER MODULE
+// ==========================================
+QUnit.module('Popover', {
+    beforeEach: function() {
+        $('.popover').remove();
+    },
+    afterEach: function() {
+        if ($.fn.popover) {
+            $('#test-popover').popover('destroy');
+        }
+        $('.popover').remove();
+    }
+});
+
+QUnit.test('Popover plugin exists', function(assert) {
+    assert.ok($.fn.popover, '$.fn.popover exists');
+    assert.ok(typeof $.fn.popover === 'function', '$.fn.popover is a function');
+});
+
+QUnit.test('Popover show/hide methods', function(assert) {
+    if (!requirePlugin('popover', assert)) return;
+    
+    var done = assert.async();
+    var $popover = $('#test-popover');
+    
+    $popover.popover();
+    
+    $popover.on('shown.bs.popover', function() {
         assert.ok($('.popover').length > 0, 'Popover exists in DOM');
         assert.ok($('.popover').is(':visible'), 'Popover is visible');
         assert.ok($('.popover-title').length > 0, 'Popover has title');
@@ -314,163 +1475,1210 @@ QUnit.test('Popover show/hide methods', function(assert) {
         $popover.popover('hide');
     });
     
-    $popover.on('hidden.bs.popover', function() {
+    $popover.on('hidden.bs.popover', function() {
+        done();
+    });
+    
+    $popover.popover('show');
+});
+
+QUnit.test('Popover toggle method', function(assert) {
+    if (!requirePlugin('popover', assert)) return;
+    
+    var done = assert.async();
+    var $popover = $('#test-popover');
+    
+    $popover.popover();
+    
+    $popover.on('shown.bs.popover', function() {
+        assert.ok($('.popover').is(':visible'), 'Popover shown via toggle');
+        $popover.popover('toggle');
+    });
+    
+    $popover.on('hidden.bs.popover', function() {
+        done();
+    });
+    
+    $popover.popover('toggle');
+});
+
+QUnit.test('Delegated interactive popover closes when the pointer leaves its tip', function(assert) {
+    if (!requirePlugin('popover', assert)) return;
+    if (!requireSandal('Interactive tips', assert)) return;
+    
+    var done = assert.async();
+    var $container = $('<div id="test-popover-delegate"></div>').appendTo(document.body);
+    var $link = $('<a href="#" rel="popover" title="Delegated">Link</a>').appendTo($container);
+    
+    $container.popover({
+        selector: '[rel="popover"]',
+        trigger: 'hover',
+        interactive: true,
+        animation: false,
+        content: 'Delegated content'
+    });
+    
+    $container.on('shown.bs.popover', function() {
+        var $tip = $('.popover');
+        
+        // Pointer crosses from the link into the tip, then leaves it
+        $link.trigger('mouseleave');
+        $tip.trigger('mouseenter');
+        $tip.trigger('mouseleave');
+    });
+    
+    $container.on('hidden.bs.popover', function() {
+        assert.equal($('.popover').length, 0, 'Tip removed after leaving it');
+        $container.popover('destroy');
+        $container.remove();
+        done();
+    });
+    
+    $link.trigger('mouseenter');
+});
+
+// Promise with its resolve/reject functions, for driving async popover content
+function deferred() {
+    var result = {};
+    result.promise = new Promise(function(resolve, reject) {
+        result.resolve = resolve;
+        result.reject = reject;
+    });
+    return result;
+}
+
+QUnit.test('Popover async content shows the loading template until it resolves', function(assert) {
+    if (!requirePlugin('popover', assert)) return;
+    if (!requireSandal('Async popover content', assert)) return;
+    
+    var done = assert.async();
+    var $popover = $('<button type="button">Async</button>').appendTo('#qunit-fixture');
+    var content = deferred();
+    
+    $popover.popover({ title: 'Record', content: function() { return content.promise; }, animation: false });
+    
+    $popover.one('shown.bs.popover', function() {
+        var $tip = $('.popover');
+        
+        assert.ok($tip.hasClass('popover-loading'), 'Tip flagged as loading');
+        assert.equal($tip.attr('aria-busy'), 'true', 'aria-busy while loading');
+        assert.equal($tip.find('.popover-loader').length, 1, 'Loading template shown');
+        
+        content.resolve('Loaded content');
+    });
+    
+    $popover.one('loaded.bs.popover', function(e) {
+        var $tip = $('.popover');
+        
+        assert.equal(e.relatedTarget, $tip[0], 'loaded.bs.popover carries the tip');
+        assert.equal($tip.find('.popover-content').text(), 'Loaded content', 'Content replaces the loading template');
+        assert.ok(!$tip.hasClass('popover-loading'), 'Loading flag removed');
+        assert.ok(!$tip[0].hasAttribute('aria-busy'), 'aria-busy removed');
+        $popover.popover('destroy');
+        done();
+    });
+    
+    $popover.popover('show');
+});
+
+QUnit.test('Popover async content is cached unless cache is false', function(assert) {
+    if (!requirePlugin('popover', assert)) return;
+    if (!requireSandal('Async popover content', assert)) return;
+    
+    var done = assert.async();
+    var $cached = $('<button type="button">Cached</button>').appendTo('#qunit-fixture');
+    var $uncached = $('<button type="button">Uncached</button>').appendTo('#qunit-fixture');
+    var calls = { cached: 0, uncached: 0 };
+    
+    // Resolves after the popover is shown
+    function contentFor(name) {
+        return function() {
+            var text = name + ' ' + (++calls[name]);
+            return new Promise(function(resolve) {
+                setTimeout(function() { resolve(text); }, 20);
+            });
+        };
+    }
+    
+    $cached.popover({ content: contentFor('cached'), animation: false });
+    $uncached.popover({ content: contentFor('uncached'), animation: false, cache: false });
+    
+    // Show, wait for the content, hide
+    function showLoaded($popover, callback) {
+        $popover.one('loaded.bs.popover', function() {
+            var text = $('.popover .popover-content').text();
+            $popover.popover('hide');
+            callback(text);
+        });
+        $popover.popover('show');
+    }
+    
+    showLoaded($cached, function() {
+        $cached.one('shown.bs.popover', function() {
+            assert.equal($('.popover .popover-content').text(), 'cached 1', 'Cached content shown straight away');
+            assert.equal(calls.cached, 1, 'Content loaded once');
+            $cached.popover('hide');
+            
+            $cached.popover('clearCache');
+            showLoaded($cached, function(text) {
+                assert.equal(text, 'cached 2', 'clearCache() loads it again');
+                
+                showLoaded($uncached, function() {
+                    showLoaded($uncached, function(text) {
+                        assert.equal(text, 'uncached 2', 'cache: false loads on every show');
+                        $cached.popover('destroy');
+                        $uncached.popover('destroy');
+                        done();
+                    });
+                });
+            });
+        });
+        $cached.popover('show');
+    });
+});
+
+QUnit.test('Popover remote content and load errors', function(assert) {
+    if (!requirePlugin('popover', assert)) return;
+    if (!requireSandal('Async popover content', assert)) return;
+    
+    var done = assert.async();
+    var remote = 'data:text/html,' + encodeURIComponent('<b>Remote</b>');
+    var $remote = $('<button type="button" data-html="true">Remote</button>').attr('data-remote', remote).appendTo('#qunit-fixture');
+    var $failing = $('<button type="button">Failing</button>').appendTo('#qunit-fixture');
+    
+    $remote.popover({ animation: false });
+    $failing.popover({ title: 'Failing', content: function() { return Promise.reject(new Error('Not found')); }, animation: false });
+    
+    $remote.one('loaded.bs.popover', function(e) {
+        assert.equal(e.remote, remote, 'loaded.bs.popover carries the remote URL');
+        assert.equal($('.popover .popover-content b').text(), 'Remote', 'Remote HTML shown');
+        $remote.popover('destroy');
+        
+        $failing.one('loaderror.bs.popover', function(e) {
+            assert.equal(e.error.message, 'Not found', 'loaderror.bs.popover carries the error');
+            assert.ok(!$('.popover').hasClass('popover-loading'), 'Loading flag removed');
+            $failing.popover('destroy');
+            done();
+        });
+        $failing.popover('show');
+    });
+    
+    $remote.popover('show');
+});
+
+QUnit.test('Popover discards content arriving after it was hidden', function(assert) {
+    if (!requirePlugin('popover', assert)) return;
+    if (!requireSandal('Async popover content', assert)) return;
+    
+    var done = assert.async();
+    var $popover = $('<button type="button">Slow</button>').appendTo('#qunit-fixture');
+    var content = deferred();
+    var loaded = false;
+    
+    $popover.popover({ title: 'Slow', content: function() { return content.promise; }, animation: false, cache: false });
+    
+    $popover.on('loaded.bs.popover', function() {
+        loaded = true;
+    });
+    
+    $popover.one('shown.bs.popover', function() {
+        $popover.popover('hide');
+        content.resolve('Too late');
+        
+        setTimeout(function() {
+            assert.ok(!loaded, 'No loaded event for a closed popover');
+            assert.equal($('.popover').length, 0, 'Tip stays closed');
+            $popover.popover('destroy');
+            done();
+        }, 50);
+    });
+    
+    $popover.popover('show');
+});
+
+QUnit.test('Popover arrow points at the element on the side placements', function(assert) {
+    if (!requirePlugin('popover', assert)) return;
+    if (!requireSandal('Arrow positioning', assert)) return;
+    
+    var done = assert.async();
+    // Near the top edge, so the tip is shifted down
+    var $button = $('<button type="button" style="position: fixed; top: 0; left: 200px; height: 60px">P</button>').appendTo('#qunit-fixture');
+    
+    $button.popover({ placement: 'right', title: 'Title', content: 'Line<br>Line<br>Line<br>Line', html: true, animation: false });
+    
+    $button.one('shown.bs.popover', function() {
+        var $tip = $('.popover');
+        
+        assert.ok($tip.hasClass('right'), 'Popover on the right');
+        assert.ok(arrowCentreDistance($tip.find('.arrow')[0], $button[0], false) <= 1, 'Arrow centred on the element');
+        $button.popover('destroy');
+        done();
+    });
+    
+    $button.popover('show');
+});
+
+QUnit.test('Popover returns focus to its invoker', function(assert) {
+    if (!requirePlugin('popover', assert)) return;
+    if (!requireSandal('Focus return', assert)) return;
+    
+    var done = assert.async();
+    var $popover = $('<button type="button" data-container="body">Popover</button>').appendTo('#qunit-fixture');
+    
+    $popover.popover({ trigger: 'click', html: true, content: '<a href="#" class="popover-link">Link</a>', animation: false });
+    
+    $popover.one('shown.bs.popover', function() {
+        $('.popover .popover-link')[0].focus();
+        $popover.popover('hide');
+    });
+    
+    $popover.one('hidden.bs.popover', function() {
+        // Focus is returned once hide() has finished
+        setTimeout(function() {
+            assert.equal(document.activeElement, $popover[0], 'Focus back on the popover element');
+            $popover.popover('destroy');
+            done();
+        }, 0);
+    });
+    
+    $popover[0].focus();
+    $popover.popover('show');
+});
+
+QUnit.test('Popover focus return when the invoker was removed', function(assert) {
+    if (!requirePlugin('popover', assert)) return;
+    if (!requireSandal('Focus return', assert)) return;
+    
+    var done = assert.async();
+    var $invoker = $('<button type="button">Invoker</button>').appendTo('#qunit-fixture');
+    var $popover = $('<button type="button" data-container="body">Popover</button>').appendTo('#qunit-fixture');
+    
+    $popover.popover({ trigger: 'click', html: true, content: '<a href="#" class="popover-link">Link</a>', animation: false });
+    
+    $popover.one('shown.bs.popover', function() {
+        $('.popover .popover-link')[0].focus();
+        $invoker.remove();
+        $popover.popover('hide');
+    });
+    
+    $popover.one('hidden.bs.popover', function() {
+        // Focus is returned once hide() has finished
+        setTimeout(function() {
+            assert.equal(document.activeElement, $popover[0], 'Focus falls back to the popover element');
+            $popover.popover('destroy');
+            done();
+        }, 0);
+    });
+    
+    // Shown from somewhere else, e.g. a keyboard shortcut handler
+    $invoker[0].focus();
+    $popover.popover('show');
+});
+
+// ==========================================
+// TAB MODULE
+// ==========================================
+QUnit.module('Tab', {
+    beforeEach: function() {
+        $('#tab1').addClass('active in');
+        $('#tab2, #tab3').removeClass('active in');
+        $('#test-tabs li').first().addClass('active').siblings().removeClass('active');
+    }
+});
+
+QUnit.test('Tab plugin exists', function(assert) {
+    assert.ok($.fn.tab, '$.fn.tab exists');
+    assert.ok(typeof $.fn.tab === 'function', '$.fn.tab is a function');
+});
+
+QUnit.test('Tab show method', function(assert) {
+    if (!requirePlugin('tab', assert)) return;
+    
+    var done = assert.async();
+    var $tab2Link = $('#test-tabs a[href="#tab2"]');
+    
+    $tab2Link.on('shown.bs.tab', function() {
+        assert.ok($('#tab2').hasClass('active'), 'Tab 2 pane is active');
+        assert.ok($tab2Link.parent().hasClass('active'), 'Tab 2 link is active');
+        assert.ok(!$('#tab1').hasClass('active'), 'Tab 1 pane is not active');
         done();
     });
     
-    $popover.popover('show');
+    $tab2Link.tab('show');
+});
+
+QUnit.test('Tab data-api click', function(assert) {
+    if (!requirePlugin('tab', assert)) return;
+    
+    var done = assert.async();
+    var $tab3Link = $('#test-tabs a[href="#tab3"]');
+    
+    $tab3Link.on('shown.bs.tab', function() {
+        assert.ok($('#tab3').hasClass('active'), 'Tab 3 shown via data-api');
+        done();
+    });
+    
+    $tab3Link.click();
+});
+
+QUnit.test('Tab events', function(assert) {
+    if (!requirePlugin('tab', assert)) return;
+    
+    var done = assert.async();
+    var $tab2Link = $('#test-tabs a[href="#tab2"]');
+    var showFired = false;
+    
+    $tab2Link.on('show.bs.tab', function() {
+        showFired = true;
+    });
+    
+    $tab2Link.on('shown.bs.tab', function() {
+        assert.ok(showFired, 'show.bs.tab event fired');
+        done();
+    });
+    
+    $tab2Link.tab('show');
+});
+
+// Nav of four tabs, the third one disabled, appended to the fixture
+function createKeyboardTabs(navAttributes) {
+    var $tabs = $('<ul class="nav nav-tabs" ' + (navAttributes || '') + '>' +
+        '<li class="active"><a href="#key-pane1" data-toggle="tab">One</a></li>' +
+        '<li><a href="#key-pane2" data-toggle="tab">Two</a></li>' +
+        '<li class="disabled"><a href="#key-pane3" data-toggle="tab">Three</a></li>' +
+        '<li><a href="#key-pane4" data-toggle="tab">Four</a></li></ul>' +
+        '<div class="tab-content"><div id="key-pane1" class="tab-pane active">1</div>' +
+        '<div id="key-pane2" class="tab-pane">2</div><div id="key-pane3" class="tab-pane">3</div>' +
+        '<div id="key-pane4" class="tab-pane">4</div></div>').appendTo('#qunit-fixture');
+    
+    $tabs.find('[data-toggle="tab"]').tab();
+    return $tabs;
+}
+
+function keyTab(index) {
+    return $('a[href="#key-pane' + index + '"]')[0];
+}
+
+// Press keys one after the other, giving each tab switch time to finish
+function pressKeysInTurn(steps, done) {
+    if (steps.length === 0) {
+        done();
+        return;
+    }
+    
+    var step = steps.shift();
+    pressKey(step.key);
+    
+    setTimeout(function() {
+        step.check();
+        pressKeysInTurn(steps, done);
+    }, 50);
+}
+
+QUnit.test('Tab ARIA roles and roving tabindex', function(assert) {
+    if (!requirePlugin('tab', assert)) return;
+    if (!requireSandal('Tab ARIA', assert)) return;
+    
+    var $nav = createKeyboardTabs().first();
+    
+    assert.equal($nav.attr('role'), 'tablist', 'Nav has role="tablist"');
+    assert.equal($nav.children('li').first().attr('role'), 'presentation', 'Items have role="presentation"');
+    assert.equal(keyTab(1).getAttribute('role'), 'tab', 'Links have role="tab"');
+    assert.equal(keyTab(1).getAttribute('aria-selected'), 'true', 'Active tab is selected');
+    assert.equal(keyTab(2).getAttribute('aria-selected'), 'false', 'Other tabs are not');
+    assert.equal(keyTab(1).getAttribute('aria-controls'), 'key-pane1', 'Tab controls its pane');
+    assert.equal($('#key-pane1').attr('role'), 'tabpanel', 'Pane has role="tabpanel"');
+    assert.equal($('#key-pane1').attr('aria-labelledby'), keyTab(1).id, 'Pane labelled by its tab');
+    assert.equal(keyTab(3).getAttribute('aria-disabled'), 'true', 'Disabled tab has aria-disabled');
+    assert.equal(keyTab(1).getAttribute('tabindex'), '0', 'Only the active tab is in the tab order');
+    assert.equal(keyTab(2).getAttribute('tabindex'), '-1', 'Other tabs are reached with the arrow keys');
+});
+
+QUnit.test('Tab keyboard navigation with automatic activation', function(assert) {
+    if (!requirePlugin('tab', assert)) return;
+    if (!requireSandal('Tab keyboard navigation', assert)) return;
+    
+    var done = assert.async();
+    createKeyboardTabs();
+    keyTab(1).focus();
+    
+    pressKeysInTurn([
+        { key: 'ArrowRight', check: function() {
+            assert.equal(document.activeElement, keyTab(2), 'ArrowRight focuses the next tab');
+            assert.ok($('#key-pane2').hasClass('active'), 'and shows it');
+            assert.equal(keyTab(2).getAttribute('tabindex'), '0', 'Roving tabindex follows');
+            assert.equal(keyTab(1).getAttribute('tabindex'), '-1', 'Previous tab leaves the tab order');
+        } },
+        { key: 'ArrowRight', check: function() {
+            assert.equal(document.activeElement, keyTab(4), 'Disabled tabs are skipped');
+        } },
+        { key: 'ArrowRight', check: function() {
+            assert.equal(document.activeElement, keyTab(1), 'Wraps to the first tab');
+        } },
+        { key: 'ArrowLeft', check: function() {
+            assert.equal(document.activeElement, keyTab(4), 'ArrowLeft wraps to the last tab');
+        } },
+        { key: 'Home', check: function() {
+            assert.equal(document.activeElement, keyTab(1), 'Home focuses the first tab');
+        } },
+        { key: 'End', check: function() {
+            assert.equal(document.activeElement, keyTab(4), 'End focuses the last tab');
+            assert.ok($('#key-pane4').hasClass('active'), 'and shows it');
+        } }
+    ], done);
+});
+
+QUnit.test('Tab keyboard navigation with manual activation', function(assert) {
+    if (!requirePlugin('tab', assert)) return;
+    if (!requireSandal('Tab keyboard navigation', assert)) return;
+    
+    var done = assert.async();
+    createKeyboardTabs('data-activation="manual"');
+    keyTab(1).focus();
+    
+    pressKeysInTurn([
+        { key: 'ArrowRight', check: function() {
+            assert.equal(document.activeElement, keyTab(2), 'ArrowRight focuses the next tab');
+            assert.ok($('#key-pane1').hasClass('active'), 'without showing it');
+        } },
+        { key: 'Enter', check: function() {
+            assert.ok($('#key-pane2').hasClass('active'), 'Enter shows the focused tab');
+        } },
+        { key: 'ArrowRight', check: function() {
+            assert.equal(document.activeElement, keyTab(4), 'Disabled tabs are skipped');
+        } },
+        { key: ' ', check: function() {
+            assert.ok($('#key-pane4').hasClass('active'), 'Space shows the focused tab');
+        } }
+    ], done);
+});
+
+// Nav of three tabs with URL history, appended to the fixture
+function createHistoryTabs(navAttributes) {
+    var $tabs = $('<ul class="nav nav-tabs" ' + navAttributes + '>' +
+        '<li class="active"><a href="#hist-pane1" data-toggle="tab">One</a></li>' +
+        '<li><a href="#hist-pane2" data-toggle="tab">Two</a></li>' +
+        '<li><a href="#hist-pane3" data-toggle="tab">Three</a></li></ul>' +
+        '<div class="tab-content"><div id="hist-pane1" class="tab-pane active">1</div>' +
+        '<div id="hist-pane2" class="tab-pane">2</div><div id="hist-pane3" class="tab-pane">3</div></div>').appendTo('#qunit-fixture');
+    
+    $tabs.find('[data-toggle="tab"]').tab();
+    return $tabs;
+}
+
+// Run steps one after the other, giving each tab switch time to finish
+function inTurn(steps, done) {
+    if (steps.length === 0) {
+        done();
+        return;
+    }
+    
+    steps.shift()();
+    setTimeout(function() {
+        inTurn(steps, done);
+    }, 50);
+}
+
+QUnit.test('Tab history records the shown tab in the query string', function(assert) {
+    if (!requirePlugin('tab', assert)) return;
+    if (!requireSandal('Tab history', assert)) return;
+    
+    var done = assert.async();
+    var originalUrl = window.location.href;
+    var historyLength = window.history.length;
+    
+    createHistoryTabs('id="history-tabs" data-tab-history="query"');
+    
+    inTurn([
+        function() {
+            $('a[href="#hist-pane2"]').tab('show');
+        },
+        function() {
+            assert.equal(new URL(window.location.href).searchParams.get('history-tabs'), 'hist-pane2', 'Pane id stored under the nav id');
+            assert.equal(window.history.length, historyLength + 1, 'New history entry');
+            
+            // Back to a URL naming another tab
+            var url = new URL(window.location.href);
+            url.searchParams.set('history-tabs', 'hist-pane3');
+            window.history.replaceState(window.history.state, '', url);
+            $.fn.tab.Constructor.syncWithUrl();
+        },
+        function() {
+            assert.ok($('#hist-pane3').hasClass('active'), 'syncWithUrl() shows the tab named in the URL');
+            assert.equal(window.history.length, historyLength + 1, 'without adding a history entry');
+            
+            // Back to the URL without a selection
+            window.history.replaceState(window.history.state, '', originalUrl);
+            $.fn.tab.Constructor.syncWithUrl();
+        },
+        function() {
+            assert.ok($('#hist-pane1').hasClass('active'), 'Initial tab restored');
+            window.history.replaceState(window.history.state, '', originalUrl);
+        }
+    ], done);
+});
+
+QUnit.test('Tab history in the hash', function(assert) {
+    if (!requirePlugin('tab', assert)) return;
+    if (!requireSandal('Tab history', assert)) return;
+    
+    var done = assert.async();
+    var originalUrl = window.location.href;
+    
+    createHistoryTabs('data-tab-history="hash" data-tab-history-key="editor"');
+    
+    inTurn([
+        function() {
+            $('a[href="#hist-pane2"]').tab('show');
+        },
+        function() {
+            assert.equal(window.location.hash, '#editor=hist-pane2', 'Pane id stored in the hash under data-tab-history-key');
+            
+            // A plain link to a pane
+            var url = new URL(window.location.href);
+            url.hash = 'hist-pane3';
+            window.history.replaceState(window.history.state, '', url);
+            $.fn.tab.Constructor.syncWithUrl();
+        },
+        function() {
+            assert.ok($('#hist-pane3').hasClass('active'), 'A plain #pane-id selects its tab');
+            window.history.replaceState(window.history.state, '', originalUrl);
+        }
+    ], done);
+});
+
+// Tab set with remote panes, data-remote given per tab
+function createRemoteTabs(remotes) {
+    var nav = '<ul class="nav nav-tabs"><li class="active"><a href="#remote-pane0" data-toggle="tab">Local</a></li>';
+    var panes = '<div class="tab-content"><div id="remote-pane0" class="tab-pane active">Local</div>';
+    
+    remotes.forEach(function(remote, i) {
+        nav += '<li><a href="#remote-pane' + (i + 1) + '" data-toggle="tab" data-remote="' + remote + '">Remote ' + (i + 1) + '</a></li>';
+        panes += '<div id="remote-pane' + (i + 1) + '" class="tab-pane"></div>';
+    });
+    
+    return $(nav + '</ul>' + panes + '</div>').appendTo('#qunit-fixture');
+}
+
+function remoteHTML(html) {
+    return 'data:text/html,' + encodeURIComponent(html);
+}
+
+QUnit.test('Tab remote pane loads before shown', function(assert) {
+    if (!requirePlugin('tab', assert)) return;
+    if (!requireSandal('Remote tab panes', assert)) return;
+    
+    var done = assert.async();
+    var remote = remoteHTML('<p>Remote pane</p>');
+    createRemoteTabs([remote]);
+    var $local = $('a[href="#remote-pane0"]');
+    var $remote = $('a[href="#remote-pane1"]');
+    var events = [];
+    
+    $local.on('hidden.bs.tab', function() { events.push('hidden'); });
+    $remote.on('loaded.bs.tab', function(e) {
+        events.push('loaded');
+        assert.equal(e.remote, remote, 'loaded.bs.tab carries the remote URL');
+    });
+    
+    $remote.on('shown.bs.tab', function(e) {
+        events.push('shown');
+        assert.deepEqual(events, ['hidden', 'loaded', 'shown'], 'Previous tab hidden on swap, shown waits for the content');
+        assert.ok(!e.stale, 'Settled show is not stale');
+        assert.equal($('#remote-pane1').text(), 'Remote pane', 'Content injected into the pane');
+        assert.ok(!$('#remote-pane1').hasClass('tab-loading'), 'Loading class removed');
+        done();
+    });
+    
+    $remote.tab('show');
+});
+
+QUnit.test('Tab remote load error', function(assert) {
+    if (!requirePlugin('tab', assert)) return;
+    if (!requireSandal('Remote tab panes', assert)) return;
+    
+    var done = assert.async();
+    createRemoteTabs(['./does-not-exist.html']);
+    var $remote = $('a[href="#remote-pane1"]');
+    var errorFired = false;
+    
+    $remote.on('loaderror.bs.tab', function(e) {
+        errorFired = true;
+        assert.ok(e.error, 'loaderror.bs.tab carries the error');
+    });
+    
+    $remote.on('shown.bs.tab', function() {
+        assert.ok(errorFired, 'shown fires once the failed load settled');
+        assert.equal($('#remote-pane1').html(), '', 'Loading template cleared');
+        done();
+    });
+    
+    $remote.tab('show');
+});
+
+QUnit.test('Tab remote pane is cached unless remoteReload', function(assert) {
+    if (!requirePlugin('tab', assert)) return;
+    if (!requireSandal('Remote tab panes', assert)) return;
+    
+    var done = assert.async();
+    createRemoteTabs([remoteHTML('Cached'), remoteHTML('Reloaded')]);
+    var $local = $('a[href="#remote-pane0"]');
+    var $cached = $('a[href="#remote-pane1"]');
+    var $reloaded = $('a[href="#remote-pane2"]').attr('data-remote-reload', 'true');
+    var loads = { cached: 0, reloaded: 0 };
+    var steps = [
+        function() { $cached.tab('show'); },
+        function() { $local.tab('show'); },
+        function() { $cached.tab('show'); },
+        function() { $reloaded.tab('show'); },
+        function() { $local.tab('show'); },
+        function() { $reloaded.tab('show'); },
+        function() {
+            assert.equal(loads.cached, 1, 'Pane fetched on the first show only');
+            assert.equal(loads.reloaded, 2, 'remoteReload fetches on every show');
+            done();
+        }
+    ];
+    
+    $cached.on('loaded.bs.tab', function() { loads.cached++; });
+    $reloaded.on('loaded.bs.tab', function() { loads.reloaded++; });
+    $('#qunit-fixture').on('shown.bs.tab', function() {
+        // Next step once the container is unlocked
+        setTimeout(steps.shift(), 0);
+    });
+    
+    steps.shift()();
+});
+
+QUnit.test('Tab remote load cancelled by switching tabs', function(assert) {
+    if (!requirePlugin('tab', assert)) return;
+    if (!requireSandal('Remote tab panes', assert)) return;
+    
+    var done = assert.async();
+    var originalFetch = window.fetch;
+    createRemoteTabs(['/slow', '/other']);
+    var $slow = $('a[href="#remote-pane1"]');
+    var $other = $('a[href="#remote-pane2"]').attr('data-await-remote', 'false');
+    var slowEvents = [];
+    
+    // Requests never answer, they only end when aborted
+    window.fetch = function(url, init) {
+        return new Promise(function(resolve, reject) {
+            init.signal.addEventListener('abort', function() {
+                reject(new DOMException('Aborted', 'AbortError'));
+            });
+        });
+    };
+    
+    $('a[href="#remote-pane0"]').on('hidden.bs.tab', function() {
+        $other.tab('show');
+    });
+    
+    $slow.on('loaded.bs.tab loaderror.bs.tab', function(e) { slowEvents.push(e.type); });
+    $slow.on('hide.bs.tab hidden.bs.tab', function(e) { slowEvents.push(e.type); });
+    $slow.on('shown.bs.tab', function(e) {
+        slowEvents.push(e.type);
+        assert.ok(e.stale, 'Cancelled show still fires shown, flagged stale');
+    });
+    
+    $other.on('shown.bs.tab', function(e) {
+        window.fetch = originalFetch;
+        
+        assert.ok(!e.stale, 'Tab switched to is not stale');
+        assert.deepEqual(slowEvents, ['hide', 'shown', 'hidden'], 'Cancelled tab still gets shown and hidden, no load events');
+        assert.ok(!$('#remote-pane1').hasClass('tab-loading'), 'Cancelled pane is no longer loading');
+        done();
+    });
+    
+    $slow.tab('show');
+});
+
+// ==========================================
+// COLLAPSE MODULE
+// ==========================================
+QUnit.module('Collapse', {
+    beforeEach: function() {
+        $('#test-collapse').removeClass('in').css('height', '');
+    }
+});
+
+QUnit.test('Collapse plugin exists', function(assert) {
+    assert.ok($.fn.collapse, '$.fn.collapse exists');
+    assert.ok(typeof $.fn.collapse === 'function', '$.fn.collapse is a function');
+});
+
+QUnit.test('Collapse show/hide methods', function(assert) {
+    if (!requirePlugin('collapse', assert)) return;
+    
+    var done = assert.async();
+    var $collapse = $('#test-collapse');
+    
+    $collapse.on('shown.bs.collapse', function() {
+        assert.ok($collapse.hasClass('in'), 'Collapse has "in" class');
+        $collapse.collapse('hide');
+    });
+    
+    $collapse.on('hidden.bs.collapse', function() {
+        assert.ok(!$collapse.hasClass('in'), 'Collapse does not have "in" class');
+        done();
+    });
+    
+    $collapse.collapse('show');
+});
+
+QUnit.test('Collapse toggle method', function(assert) {
+    if (!requirePlugin('collapse', assert)) return;
+    
+    var done = assert.async();
+    var $collapse = $('#test-collapse');
+    
+    $collapse.on('shown.bs.collapse', function() {
+        assert.ok($collapse.hasClass('in'), 'Collapse shown via toggle');
+        $collapse.collapse('toggle');
+    });
+    
+    $collapse.on('hidden.bs.collapse', function() {
+        assert.ok(!$collapse.hasClass('in'), 'Collapse hidden via toggle');
+        done();
+    });
+    
+    $collapse.collapse('toggle');
+});
+
+QUnit.test('Collapse data-api', function(assert) {
+    if (!requirePlugin('collapse', assert)) return;
+    
+    var done = assert.async();
+    var $collapse = $('#test-collapse');
+    var $trigger = $('[data-toggle="collapse"][data-target="#test-collapse"]');
+    
+    $collapse.on('shown.bs.collapse', function() {
+        assert.ok($collapse.hasClass('in'), 'Collapse shown via data-api');
+        done();
+    });
+    
+    $trigger.click();
+});
+
+QUnit.test('Collapse hide reverses a running show', function(assert) {
+    if (!requirePlugin('collapse', assert)) return;
+    if (!requireSandal('Reversing collapse transitions', assert)) return;
+    
+    var done = assert.async();
+    var $collapse = $('#test-collapse');
+    var events = [];
+    
+    $collapse.on('show.bs.collapse hide.bs.collapse', function(e) {
+        events.push(e.type);
+    });
+    
+    $collapse.on('shown.bs.collapse', function(e) {
+        events.push(e.type + (e.interrupted ? ' (interrupted)' : ''));
+    });
+    
+    $collapse.on('hidden.bs.collapse', function(e) {
+        events.push(e.type + (e.interrupted ? ' (interrupted)' : ''));
+        
+        assert.deepEqual(events, ['show', 'hide', 'shown (interrupted)', 'hidden'], 'Every show gets a shown, every hide a hidden');
+        assert.ok(!$collapse.hasClass('in'), 'Collapse ends closed');
+        assert.ok(!$collapse.hasClass('collapsing'), 'Transition finished');
+        assert.equal($collapse[0].style.height, '', 'Inline height cleared');
+        done();
+    });
+    
+    $collapse.collapse('show');
+    
+    // Still opening
+    assert.ok($collapse.hasClass('collapsing'), 'Show transition running');
+    $collapse.collapse('hide');
+});
+
+QUnit.test('Collapse show reverses a running hide', function(assert) {
+    if (!requirePlugin('collapse', assert)) return;
+    if (!requireSandal('Reversing collapse transitions', assert)) return;
+    
+    var done = assert.async();
+    var $collapse = $('#test-collapse').addClass('in');
+    var events = [];
+    
+    $collapse.on('show.bs.collapse hide.bs.collapse', function(e) {
+        events.push(e.type);
+    });
+    
+    $collapse.on('hidden.bs.collapse', function(e) {
+        events.push(e.type + (e.interrupted ? ' (interrupted)' : ''));
+    });
+    
+    $collapse.on('shown.bs.collapse', function(e) {
+        events.push(e.type + (e.interrupted ? ' (interrupted)' : ''));
+        
+        assert.deepEqual(events, ['hide', 'show', 'hidden (interrupted)', 'shown'], 'Every hide gets a hidden, every show a shown');
+        assert.ok($collapse.hasClass('in'), 'Collapse ends open');
+        done();
+    });
+    
+    $collapse.collapse({ toggle: false });
+    $collapse.collapse('hide');
+    $collapse.collapse('show');
 });
 
-QUnit.test('Popover toggle method', function(assert) {
-    if (!requirePlugin('popover', assert)) return;
+QUnit.test('Collapse finds triggers rendered after it', function(assert) {
+    if (!requirePlugin('collapse', assert)) return;
+    if (!requireSandal('Live collapse triggers', assert)) return;
     
     var done = assert.async();
-    var $popover = $('#test-popover');
+    var $panel = $('<div id="late-panel" class="collapse">Late</div>').appendTo('#qunit-fixture');
     
-    $popover.popover();
+    $panel.collapse({ toggle: false });
     
-    $popover.on('shown.bs.popover', function() {
-        assert.ok($('.popover').is(':visible'), 'Popover shown via toggle');
-        $popover.popover('toggle');
+    // Rendered after the collapse was created, and used straight away
+    var $first = $('<a href="#late-panel" data-toggle="collapse">First</a>').appendTo('#qunit-fixture');
+    
+    $panel.one('shown.bs.collapse', function() {
+        assert.equal($first.attr('aria-expanded'), 'true', 'Late trigger is expanded');
+        assert.ok(!$first.hasClass('collapsed'), 'Late trigger lost the collapsed class');
+        
+        var $second = $('<button type="button" data-toggle="collapse" data-target="#late-panel">Second</button>').appendTo('#qunit-fixture');
+        
+        $panel.one('hidden.bs.collapse', function() {
+            assert.ok($first.hasClass('collapsed') && $second.hasClass('collapsed'), 'Both triggers collapsed');
+            assert.equal($second.attr('aria-expanded'), 'false', 'Trigger added while open is updated');
+            assert.equal($second.attr('aria-controls'), 'late-panel', 'Trigger added while open controls the panel');
+            done();
+        });
+        $second.click();
     });
     
-    $popover.on('hidden.bs.popover', function() {
-        done();
+    $first.click();
+});
+
+QUnit.test('Collapse trigger of several panels is mixed while only some are open', function(assert) {
+    if (!requirePlugin('collapse', assert)) return;
+    if (!requireSandal('Mixed collapse triggers', assert)) return;
+    
+    var done = assert.async();
+    var $first = $('<div id="multi-first" class="collapse multi-panel">First</div>').appendTo('#qunit-fixture');
+    var $second = $('<div id="multi-second" class="collapse multi-panel">Second</div>').appendTo('#qunit-fixture');
+    var $trigger = $('<button type="button" data-toggle="collapse" data-target=".multi-panel">Both</button>').appendTo('#qunit-fixture');
+    
+    $first.collapse({ toggle: false });
+    $second.collapse({ toggle: false });
+    
+    $first.one('shown.bs.collapse', function() {
+        assert.ok($trigger.hasClass('collapse-mixed'), 'Trigger is mixed with one of two panels open');
+        assert.ok(!$trigger.hasClass('collapsed'), 'Mixed trigger is not collapsed');
+        assert.equal($trigger.attr('aria-expanded'), 'false', 'Mixed trigger is not expanded');
+        assert.equal($trigger.attr('aria-controls'), 'multi-first multi-second', 'Trigger controls both panels');
+        
+        $second.one('shown.bs.collapse', function() {
+            assert.ok(!$trigger.hasClass('collapse-mixed'), 'Trigger no longer mixed with both open');
+            assert.equal($trigger.attr('aria-expanded'), 'true', 'Trigger expanded with both open');
+            done();
+        });
+        $second.collapse('show');
     });
     
-    $popover.popover('toggle');
+    $first.collapse('show');
 });
 
-// ==========================================
-// TAB MODULE
-// ==========================================
-QUnit.module('Tab', {
-    beforeEach: function() {
-        $('#tab1').addClass('active in');
-        $('#tab2, #tab3').removeClass('active in');
-        $('#test-tabs li').first().addClass('active').siblings().removeClass('active');
+// Transitions are skipped under prefers-reduced-motion, leaving nothing to time
+function requireMotion(assert) {
+    if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+        assert.ok(true, 'Reduced motion preferred (skipped)');
+        return false;
     }
-});
+    return true;
+}
 
-QUnit.test('Tab plugin exists', function(assert) {
-    assert.ok($.fn.tab, '$.fn.tab exists');
-    assert.ok(typeof $.fn.tab === 'function', '$.fn.tab is a function');
-});
+// Properties animated by the collapse's running animation
+function animatedProperties(element) {
+    var animation = element.getAnimations()[0];
+    if (!animation) return [];
+    
+    return Object.keys(animation.effect.getKeyframes()[0]).filter(function(key) {
+        return ['offset', 'computedOffset', 'easing', 'composite'].indexOf(key) === -1;
+    });
+}
 
-QUnit.test('Tab show method', function(assert) {
-    if (!requirePlugin('tab', assert)) return;
+QUnit.test('Collapse .width animates the width', function(assert) {
+    if (!requirePlugin('collapse', assert)) return;
+    if (!requireSandal('Width collapse', assert)) return;
+    if (!requireMotion(assert)) return;
     
     var done = assert.async();
-    var $tab2Link = $('#test-tabs a[href="#tab2"]');
+    var $wrapper = $('<div style="width: 300px"></div>').appendTo('#qunit-fixture');
+    var $panel = $('<div id="width-panel" class="collapse width" data-duration="100"><div style="height: 40px">Sideways</div></div>').appendTo($wrapper);
+    var panel = $panel[0];
     
-    $tab2Link.on('shown.bs.tab', function() {
-        assert.ok($('#tab2').hasClass('active'), 'Tab 2 pane is active');
-        assert.ok($tab2Link.parent().hasClass('active'), 'Tab 2 link is active');
-        assert.ok(!$('#tab1').hasClass('active'), 'Tab 1 pane is not active');
-        done();
+    $panel.collapse({ toggle: false });
+    
+    $panel.one('shown.bs.collapse', function() {
+        assert.ok($panel.hasClass('in'), 'Panel is open');
+        assert.equal(panel.style.width, '', 'Inline width cleared once shown');
+        assert.equal(panel.style.height, '', 'Inline height cleared once shown');
+        assert.equal(panel.offsetWidth, 300, 'Panel takes its natural width');
+        
+        $panel.one('hidden.bs.collapse', function() {
+            assert.ok(!$panel.hasClass('in'), 'Panel is closed');
+            assert.equal(panel.style.width, '', 'Inline width cleared once hidden');
+            done();
+        });
+        
+        $panel.collapse('hide');
+        assert.deepEqual(animatedProperties(panel), ['width'], 'Hide animates the width');
     });
     
-    $tab2Link.tab('show');
+    $panel.collapse('show');
+    
+    assert.ok($panel.hasClass('collapsing'), 'Panel is transitioning');
+    assert.deepEqual(animatedProperties(panel), ['width'], 'Show animates the width');
+    assert.equal(panel.style.height, 'auto', 'Height keeps its natural size while the width animates');
 });
 
-QUnit.test('Tab data-api click', function(assert) {
-    if (!requirePlugin('tab', assert)) return;
+QUnit.test('Collapse dimension option animates the width', function(assert) {
+    if (!requirePlugin('collapse', assert)) return;
+    if (!requireSandal('Collapse dimension option', assert)) return;
+    if (!requireMotion(assert)) return;
     
     var done = assert.async();
-    var $tab3Link = $('#test-tabs a[href="#tab3"]');
+    var $panel = $('<div id="dimension-panel" class="collapse"><div style="width: 200px">Sideways</div></div>').appendTo('#qunit-fixture');
     
-    $tab3Link.on('shown.bs.tab', function() {
-        assert.ok($('#tab3').hasClass('active'), 'Tab 3 shown via data-api');
+    $panel.collapse({ toggle: false, dimension: 'width', duration: 50 });
+    
+    $panel.one('shown.bs.collapse', function() {
+        assert.equal($panel[0].style.width, '', 'Inline width cleared once shown');
         done();
     });
     
-    $tab3Link.click();
+    $panel.collapse('show');
+    assert.deepEqual(animatedProperties($panel[0]), ['width'], 'Width is animated without the .width class');
 });
 
-QUnit.test('Tab events', function(assert) {
-    if (!requirePlugin('tab', assert)) return;
+QUnit.test('Collapse duration and easing options time the transition', function(assert) {
+    if (!requirePlugin('collapse', assert)) return;
+    if (!requireSandal('Collapse duration and easing', assert)) return;
+    if (!requireMotion(assert)) return;
     
     var done = assert.async();
-    var $tab2Link = $('#test-tabs a[href="#tab2"]');
-    var showFired = false;
+    var $panel = $('<div id="timed-panel" class="collapse" data-duration="60" data-easing="linear"><div style="height: 100px">Timed</div></div>').appendTo('#qunit-fixture');
+    var panel = $panel[0];
+    var start;
     
-    $tab2Link.on('show.bs.tab', function() {
-        showFired = true;
-    });
+    $panel.collapse({ toggle: false });
     
-    $tab2Link.on('shown.bs.tab', function() {
-        assert.ok(showFired, 'show.bs.tab event fired');
+    $panel.one('shown.bs.collapse', function() {
+        assert.ok(Date.now() - start < 300, 'Short duration opens quickly');
         done();
     });
     
-    $tab2Link.tab('show');
+    start = Date.now();
+    $panel.collapse('show');
+    
+    var timing = panel.getAnimations()[0].effect.getTiming();
+    assert.equal(timing.duration, 60, 'data-duration sets the duration');
+    assert.equal(timing.easing, 'linear', 'data-easing sets the easing');
 });
 
-// ==========================================
-// COLLAPSE MODULE
-// ==========================================
-QUnit.module('Collapse', {
-    beforeEach: function() {
-        $('#test-collapse').removeClass('in').css('height', '');
-    }
+QUnit.test('Collapse reversed part way through only runs for the distance covered', function(assert) {
+    if (!requirePlugin('collapse', assert)) return;
+    if (!requireSandal('Reversed collapse duration', assert)) return;
+    if (!requireMotion(assert)) return;
+    
+    var done = assert.async();
+    var $panel = $('<div id="reversed-panel" class="collapse" data-duration="400" data-easing="linear"><div style="height: 100px">Reversed</div></div>').appendTo('#qunit-fixture');
+    
+    $panel.collapse({ toggle: false });
+    $panel.collapse('show');
+    
+    setTimeout(function() {
+        $panel.one('hidden.bs.collapse', function() {
+            done();
+        });
+        $panel.collapse('hide');
+        
+        var duration = $panel[0].getAnimations()[0].effect.getTiming().duration;
+        assert.ok(duration > 0 && duration < 400, 'Reversed transition is shorter than a full one');
+    }, 100);
 });
 
-QUnit.test('Collapse plugin exists', function(assert) {
-    assert.ok($.fn.collapse, '$.fn.collapse exists');
-    assert.ok(typeof $.fn.collapse === 'function', '$.fn.collapse is a function');
+// Three-panel group with a toggle per panel; panel1 holds a nested collapse
+function createCollapseGroup(groupAttributes, panelAttributes) {
+    var html = '<div id="group-faq" ' + (groupAttributes || '') + '>';
+    
+    for (var i = 1; i <= 3; i++) {
+        html += '<button type="button" id="group-toggle' + i + '" data-toggle="collapse" data-target="#group-panel' + i + '">Question ' + i + '</button>' +
+            '<div id="group-panel' + i + '" class="collapse" data-duration="50" ' + (panelAttributes || '') + '>Answer ' + i +
+            (i === 1 ? '<div id="group-nested" class="collapse" data-duration="50">Nested</div>' : '') +
+            '</div>';
+    }
+    
+    return $(html + '</div>').appendTo('#qunit-fixture');
+}
+
+function openGroupPanels() {
+    return $('#group-faq .collapse.in').map(function() { return this.id; }).get();
+}
+
+QUnit.test('Collapse group panels leave out nested collapses', function(assert) {
+    if (!requirePlugin('collapse', assert)) return;
+    if (!requireSandal('Collapse groups', assert)) return;
+    
+    createCollapseGroup();
+    var group = $.fn.collapse.Constructor.group('#group-faq');
+    
+    assert.deepEqual(group.getPanels().map(function(panel) { return panel.id; }),
+        ['group-panel1', 'group-panel2', 'group-panel3'], 'Only top-level panels belong to the group');
+    assert.strictEqual(group.mode, null, 'No mode by default');
+    assert.strictEqual($.fn.collapse.Constructor.group('#group-faq'), group, 'group() returns the existing instance');
+    assert.strictEqual($.fn.collapse.Constructor.group('#no-such-group'), null, 'group() returns null without an element');
 });
 
-QUnit.test('Collapse show/hide methods', function(assert) {
+QUnit.test('Collapse group single mode opens one panel at a time', function(assert) {
     if (!requirePlugin('collapse', assert)) return;
+    if (!requireSandal('Collapse group single mode', assert)) return;
     
     var done = assert.async();
-    var $collapse = $('#test-collapse');
-    
-    $collapse.on('shown.bs.collapse', function() {
-        assert.ok($collapse.hasClass('in'), 'Collapse has "in" class');
-        $collapse.collapse('hide');
+    createCollapseGroup();
+    
+    var group = $.fn.collapse.Constructor.group('#group-faq', { mode: 'single' });
+    assert.equal(group.mode, 'single', 'Mode set from options');
+    
+    $('#group-panel1').one('shown.bs.collapse', function() {
+        $('#group-panel2').one('shown.bs.collapse', function() {
+            setTimeout(function() {
+                assert.deepEqual(openGroupPanels(), ['group-panel2'], 'Opening a panel closed the other');
+                assert.ok($('#group-toggle1').hasClass('collapsed'), 'Closed panel toggle is collapsed');
+                done();
+            }, 100);
+        });
+        $('#group-toggle2').click();
     });
     
-    $collapse.on('hidden.bs.collapse', function() {
-        assert.ok(!$collapse.hasClass('in'), 'Collapse does not have "in" class');
-        done();
+    $('#group-toggle1').click();
+});
+
+QUnit.test('Collapse group multi mode keeps panels open despite data-parent', function(assert) {
+    if (!requirePlugin('collapse', assert)) return;
+    if (!requireSandal('Collapse group multi mode', assert)) return;
+    
+    var done = assert.async();
+    createCollapseGroup('data-mode="multi"', 'data-parent="#group-faq"');
+    
+    var group = $.fn.collapse.Constructor.group('#group-faq');
+    assert.equal(group.mode, 'multi', 'Mode read from data-mode');
+    
+    $('#group-panel1').collapse({ toggle: false, parent: '#group-faq' });
+    $('#group-panel2').collapse({ toggle: false, parent: '#group-faq' });
+    
+    $('#group-panel1').one('shown.bs.collapse', function() {
+        $('#group-panel2').one('shown.bs.collapse', function() {
+            setTimeout(function() {
+                assert.deepEqual(openGroupPanels(), ['group-panel1', 'group-panel2'], 'Both panels stay open');
+                done();
+            }, 100);
+        });
+        $('#group-panel2').collapse('show');
     });
     
-    $collapse.collapse('show');
+    $('#group-panel1').collapse('show');
 });
 
-QUnit.test('Collapse toggle method', function(assert) {
+QUnit.test('Collapse group showAll, toggleAll and hideAll resolve after the group events', function(assert) {
     if (!requirePlugin('collapse', assert)) return;
+    if (!requireSandal('Collapse group methods', assert)) return;
     
     var done = assert.async();
-    var $collapse = $('#test-collapse');
+    var events = [];
+    var $group = createCollapseGroup();
     
-    $collapse.on('shown.bs.collapse', function() {
-        assert.ok($collapse.hasClass('in'), 'Collapse shown via toggle');
-        $collapse.collapse('toggle');
-    });
+    // Single mode must not stop showAll opening every panel
+    var group = $.fn.collapse.Constructor.group('#group-faq', { mode: 'single' });
     
-    $collapse.on('hidden.bs.collapse', function() {
-        assert.ok(!$collapse.hasClass('in'), 'Collapse hidden via toggle');
+    $group.on('shown.bs.collapse-group', function() { events.push('shown'); });
+    $group.on('hidden.bs.collapse-group', function() { events.push('hidden'); });
+    
+    group.showAll().then(function(complete) {
+        assert.strictEqual(complete, true, 'showAll resolves true');
+        assert.deepEqual(openGroupPanels(), ['group-panel1', 'group-panel2', 'group-panel3'], 'Every panel is open');
+        assert.ok(!$('#group-nested').hasClass('in'), 'Nested collapse is left alone');
+        assert.deepEqual(events, ['shown'], 'Group shown event fired before resolving');
+        
+        return group.toggleAll();
+    }).then(function(complete) {
+        assert.strictEqual(complete, true, 'toggleAll resolves true');
+        assert.deepEqual(openGroupPanels(), [], 'toggleAll closed the open group');
+        assert.deepEqual(events, ['shown', 'hidden'], 'Group hidden event fired');
+        
+        $('#group-panel2').collapse('show');
+        return new Promise(function(resolve) {
+            $('#group-panel2').one('shown.bs.collapse', resolve);
+        });
+    }).then(function() {
+        return group.toggleAll();
+    }).then(function() {
+        assert.deepEqual(openGroupPanels(), ['group-panel1', 'group-panel2', 'group-panel3'], 'toggleAll opens a partly open group');
+        
+        return group.hideAll();
+    }).then(function(complete) {
+        assert.strictEqual(complete, true, 'hideAll resolves true');
+        assert.deepEqual(openGroupPanels(), [], 'Every panel is closed');
+        assert.deepEqual(events, ['shown', 'hidden', 'shown', 'hidden'], 'One group event per run');
         done();
     });
-    
-    $collapse.collapse('toggle');
 });
 
-QUnit.test('Collapse data-api', function(assert) {
+QUnit.test('Collapse group run fires nothing when superseded or cancelled', function(assert) {
     if (!requirePlugin('collapse', assert)) return;
+    if (!requireSandal('Collapse group interrupted runs', assert)) return;
     
     var done = assert.async();
-    var $collapse = $('#test-collapse');
-    var $trigger = $('[data-toggle="collapse"][data-target="#test-collapse"]');
+    var events = [];
+    var $group = createCollapseGroup();
+    var group = $.fn.collapse.Constructor.group('#group-faq');
     
-    $collapse.on('shown.bs.collapse', function() {
-        assert.ok($collapse.hasClass('in'), 'Collapse shown via data-api');
+    $group.on('shown.bs.collapse-group', function() { events.push('shown'); });
+    $group.on('hidden.bs.collapse-group', function() { events.push('hidden'); });
+    
+    var shown = group.showAll();
+    var hidden = group.hideAll();
+    
+    Promise.all([shown, hidden]).then(function(results) {
+        assert.deepEqual(results, [false, true], 'Superseded showAll resolves false');
+        assert.deepEqual(events, ['hidden'], 'Only the later run fired its event');
+        
+        $('#group-panel3').one('show.bs.collapse', function(e) {
+            e.preventDefault();
+        });
+        
+        return group.showAll();
+    }).then(function(complete) {
+        assert.strictEqual(complete, false, 'showAll resolves false when a panel cancels');
+        assert.deepEqual(openGroupPanels(), ['group-panel1', 'group-panel2'], 'Other panels still opened');
+        assert.deepEqual(events, ['hidden'], 'No group event for an incomplete run');
         done();
     });
+});
+
+QUnit.test('Collapse group data-api expands and collapses every panel', function(assert) {
+    if (!requirePlugin('collapse', assert)) return;
+    if (!requireSandal('Collapse group data-api', assert)) return;
+    
+    var done = assert.async();
+    var $group = createCollapseGroup();
+    var $expand = $('<button type="button" data-toggle="collapse-all" data-target="#group-faq" data-collapse-action="show">Expand all</button>').appendTo('#qunit-fixture');
+    var $toggle = $('<a href="#group-faq" data-toggle="collapse-all">Toggle all</a>').appendTo('#qunit-fixture');
+    
+    $group.one('shown.bs.collapse-group', function() {
+        assert.deepEqual(openGroupPanels(), ['group-panel1', 'group-panel2', 'group-panel3'], 'Expand all opened every panel');
+        
+        $group.one('hidden.bs.collapse-group', function() {
+            assert.deepEqual(openGroupPanels(), [], 'Toggle all closed every panel');
+            done();
+        });
+        $toggle.click();
+    });
     
-    $trigger.click();
+    $expand.click();
 });
 
 // ==========================================
@@ -511,6 +2719,116 @@ QUnit.test('Alert data-api dismiss', function(assert) {
     $alert.find('.close').click();
 });
 
+QUnit.test('Alert autohide starts for alerts added after load', function(assert) {
+    if (!requirePlugin('alert', assert)) return;
+    if (!requireSandal('Alert autohide', assert)) return;
+    
+    var done = assert.async();
+    var $alert = $('<div class="alert alert-info" data-autohide="true" data-delay="50">Saved</div>');
+    
+    $alert.on('closed.bs.alert', function() {
+        assert.ok($alert.parent().length === 0, 'Alert closed by itself');
+        done();
+    });
+    
+    $alert.appendTo('#qunit-fixture');
+});
+
+QUnit.test('Alert autohide pauses on hover and focus', function(assert) {
+    if (!requirePlugin('alert', assert)) return;
+    if (!requireSandal('Alert autohide', assert)) return;
+    
+    var done = assert.async();
+    var $alert = $('<div class="alert alert-info" data-autohide="true" data-delay="100">Saved <button type="button">Undo</button></div>').appendTo('#qunit-fixture');
+    var alert = $alert.alert()[0];
+    var button = $alert.find('button')[0];
+    var closed = false;
+    
+    $alert.on('closed.bs.alert', function() {
+        closed = true;
+    });
+    
+    alert.dispatchEvent(new MouseEvent('mouseenter'));
+    button.focus();
+    
+    setTimeout(function() {
+        assert.ok(!closed, 'Countdown paused while hovered and focused');
+        alert.dispatchEvent(new MouseEvent('mouseleave'));
+        
+        setTimeout(function() {
+            assert.ok(!closed, 'Still paused while focused');
+            button.blur();
+            
+            setTimeout(function() {
+                assert.ok(closed, 'Countdown resumed once neither hovered nor focused');
+                done();
+            }, 250);
+        }, 200);
+    }, 200);
+});
+
+QUnit.test('Alert autohide pauses while the page is hidden', function(assert) {
+    if (!requirePlugin('alert', assert)) return;
+    if (!requireSandal('Alert autohide', assert)) return;
+    
+    var done = assert.async();
+    var $alert = $('<div class="alert alert-info" data-autohide="true" data-delay="100">Saved</div>').appendTo('#qunit-fixture');
+    var closed = false;
+    
+    $alert.alert();
+    $alert.on('closed.bs.alert', function() {
+        closed = true;
+    });
+    
+    // Shadows Document.prototype.hidden until deleted
+    Object.defineProperty(document, 'hidden', { configurable: true, get: function() { return true; } });
+    document.dispatchEvent(new Event('visibilitychange'));
+    
+    setTimeout(function() {
+        assert.ok(!closed, 'Countdown paused while hidden');
+        
+        delete document.hidden;
+        document.dispatchEvent(new Event('visibilitychange'));
+        
+        setTimeout(function() {
+            assert.ok(closed, 'Countdown resumed once visible');
+            done();
+        }, 250);
+    }, 200);
+});
+
+QUnit.test('Alert autohide cancelled by close.bs.alert', function(assert) {
+    if (!requirePlugin('alert', assert)) return;
+    if (!requireSandal('Alert autohide', assert)) return;
+    
+    var done = assert.async();
+    var $alert = $('<div class="alert alert-info" data-autohide="true" data-delay="50" data-progress="true">Saved</div>').appendTo('#qunit-fixture');
+    var closeEvents = 0;
+    
+    $alert.alert();
+    assert.ok($alert.hasClass('alert-progress'), 'Progress bar shown while counting down');
+    
+    $alert.on('close.bs.alert', function(e) {
+        closeEvents++;
+        e.preventDefault();
+    });
+    
+    setTimeout(function() {
+        assert.equal(closeEvents, 1, 'close.bs.alert fired once');
+        assert.ok($alert.parent().length === 1, 'Alert kept');
+        assert.ok(!$alert.hasClass('alert-progress'), 'Countdown is over');
+        
+        // Hovering no longer restarts it
+        $alert[0].dispatchEvent(new MouseEvent('mouseenter'));
+        $alert[0].dispatchEvent(new MouseEvent('mouseleave'));
+        
+        setTimeout(function() {
+            assert.equal(closeEvents, 1, 'No further close attempts');
+            done();
+        }, 150);
+    }, 200);
+});
+
 // ==========================================
 // BUTTON MODULE
 // ==========================================
@@ -683,6 +3001,154 @@ QUnit.test('Affix checkPosition method', function(assert) {
     assert.ok(true, 'Affix checkPosition called');
 });
 
+// ==========================================
+// PERSISTED STATE TESTS
+// ==========================================
+QUnit.module('Persisted state', {
+    afterEach: function() {
+        if (!window.Sandal) return;
+        Sandal.setPersistStorage('local');
+        Sandal.setPersistNamespace(function() { return window.location.pathname; });
+        Sandal.clearPersistedState();
+    }
+});
+
+// Storage key of a data-persist key in the default (page path) namespace
+function persistKey(key) {
+    return 'sandal:' + window.location.pathname + ':' + key;
+}
+
+QUnit.test('Collapse persists its state per page by default', function(assert) {
+    if (!requireSandal('Persisted state', assert)) return;
+    
+    var done = assert.async();
+    var $panel = $('<div id="persist-panel" class="collapse" data-persist="persist-panel">Panel</div>').appendTo('#qunit-fixture');
+    
+    $panel.collapse({ toggle: false });
+    
+    $panel.one('shown.bs.collapse', function() {
+        assert.equal(localStorage.getItem(persistKey('persist-panel')), 'true', 'Open state stored under the page path');
+        
+        $panel.one('hidden.bs.collapse', function() {
+            assert.equal(localStorage.getItem(persistKey('persist-panel')), 'false', 'Closed state stored');
+            done();
+        });
+        $panel.collapse('hide');
+    });
+    
+    $panel.collapse('show');
+});
+
+QUnit.test('Collapse restores persisted state, also when rendered later', function(assert) {
+    if (!requireSandal('Persisted state', assert)) return;
+    
+    var done = assert.async();
+    var events = 0;
+    
+    localStorage.setItem(persistKey('late-faq'), 'true');
+    
+    var $panel = $('<div class="collapse" data-persist="late-faq">Answer</div>');
+    $panel.on('show.bs.collapse shown.bs.collapse', function() {
+        events++;
+    });
+    $panel.appendTo('#qunit-fixture');
+    
+    setTimeout(function() {
+        assert.ok($panel.hasClass('in'), 'Panel added after load is restored open');
+        assert.ok(!$panel.hasClass('collapsing'), 'Restored without a transition');
+        assert.equal(events, 0, 'Restored without events');
+        done();
+    }, 0);
+});
+
+QUnit.test('Tab restores persisted tab, also when rendered later', function(assert) {
+    if (!requireSandal('Persisted state', assert)) return;
+    
+    var done = assert.async();
+    
+    localStorage.setItem(persistKey('late-tabs'), JSON.stringify('late-second'));
+    
+    var $tabs = $('<ul class="nav nav-tabs" data-persist="late-tabs">' +
+        '<li class="active"><a href="#late-first" data-toggle="tab">First</a></li>' +
+        '<li><a href="#late-second" data-toggle="tab">Second</a></li></ul>' +
+        '<div class="tab-content"><div id="late-first" class="tab-pane active">First</div>' +
+        '<div id="late-second" class="tab-pane">Second</div></div>').appendTo('#qunit-fixture');
+    
+    setTimeout(function() {
+        assert.ok($tabs.find('a[href="#late-second"]').parent().hasClass('active'), 'Persisted tab is active');
+        assert.ok($('#late-second').hasClass('active'), 'Persisted pane is shown');
+        assert.ok(!$('#late-first').hasClass('active'), 'First pane is hidden');
+        
+        var $first = $tabs.find('a[href="#late-first"]');
+        
+        $first.one('shown.bs.tab', function() {
+            assert.equal(localStorage.getItem(persistKey('late-tabs')), JSON.stringify('late-first'), 'Showing a tab stores its pane id');
+            done();
+        });
+        $first.tab('show');
+    }, 0);
+});
+
+QUnit.test('Persisted state storage adapters', function(assert) {
+    if (!requireSandal('Persisted state', assert)) return;
+    
+    var done = assert.async();
+    var stored = {};
+    var $panel = $('<div class="collapse" data-persist="adapter-panel">Panel</div>').appendTo('#qunit-fixture');
+    
+    assert.throws(function() {
+        Sandal.setPersistStorage('cookie');
+    }, /Unknown persist storage/, 'Unknown built-in adapter throws');
+    
+    Sandal.setPersistStorage('session');
+    $panel.collapse({ toggle: false });
+    
+    $panel.one('shown.bs.collapse', function() {
+        assert.equal(sessionStorage.getItem(persistKey('adapter-panel')), 'true', "'session' stores in sessionStorage");
+        assert.equal(localStorage.getItem(persistKey('adapter-panel')), null, 'Nothing in localStorage');
+        Sandal.clearPersistedState('adapter-panel');
+        
+        Sandal.setPersistStorage({
+            getItem: function(key) { return key in stored ? stored[key] : null; },
+            setItem: function(key, value) { stored[key] = value; },
+            removeItem: function(key) { delete stored[key]; }
+        });
+        
+        $panel.one('hidden.bs.collapse', function() {
+            assert.equal(stored[persistKey('adapter-panel')], 'false', 'Custom adapter receives the state');
+            done();
+        });
+        $panel.collapse('hide');
+    });
+    
+    $panel.collapse('show');
+});
+
+QUnit.test('Persisted state namespaces and clearPersistedState', function(assert) {
+    if (!requireSandal('Persisted state', assert)) return;
+    
+    localStorage.setItem(persistKey('first'), 'true');
+    localStorage.setItem(persistKey('second'), 'true');
+    localStorage.setItem('sandal:other-page:first', 'true');
+    
+    Sandal.clearPersistedState('first');
+    assert.equal(localStorage.getItem(persistKey('first')), null, 'Key cleared');
+    assert.equal(localStorage.getItem(persistKey('second')), 'true', 'Other keys kept');
+    
+    Sandal.clearPersistedState();
+    assert.equal(localStorage.getItem(persistKey('second')), null, 'Every key of the page cleared');
+    assert.equal(localStorage.getItem('sandal:other-page:first'), 'true', 'Keys of other pages kept');
+    
+    Sandal.setPersistNamespace('other-page');
+    Sandal.clearPersistedState();
+    assert.equal(localStorage.getItem('sandal:other-page:first'), null, 'Namespace can be set');
+    
+    Sandal.setPersistNamespace(null);
+    localStorage.setItem('sandal:shared', 'true');
+    Sandal.clearPersistedState('shared');
+    assert.equal(localStorage.getItem('sandal:shared'), null, 'null namespace shares keys site-wide');
+});
+
 // ==========================================
 // GENERAL API TESTS
 // ==========================================